@@ -7,6 +7,7 @@ document.addEventListener('DOMContentLoaded', function() {
 function initializeFeatures() {
     // Initialize all interactive features
     initThemeToggle();
+    initReaderSettings();
     initReadingProgress();
     initSmoothScrolling();
     initTableOfContents();
@@ -17,6 +18,9 @@ function initializeFeatures() {
     enhanceChapterNavigation();
     initCopyButtons();
     initImageModal(); // Add image modal functionality
+    initFootnotePopovers();
+    initSearch();
+    initOfflineSupport();
 }
 
 // Enhanced Navigation Functions
@@ -138,6 +142,11 @@ function initChapterGrouping() {
     const chaptersGrid = document.getElementById('chapters-grid');
     const chapterItems = chaptersGrid.querySelectorAll('.chapter-dropdown-item');
     
+    // Books with parts are already grouped at build time
+    if (chaptersGrid.querySelector('.chapter-group')) {
+        return;
+    }
+    
     // If more than 20 chapters, consider grouping
     if (chapterItems.length > 20) {
         groupChaptersByPrefix(chapterItems, chaptersGrid);
@@ -215,8 +224,7 @@ function toggleTheme() {
     const html = document.documentElement;
     const currentTheme = html.getAttribute('data-theme');
     const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-    html.setAttribute('data-theme', newTheme);
-    localStorage.setItem('theme', newTheme);
+    setReaderPreference('theme', newTheme);
     
     // Add transition effect
     html.style.transition = 'background-color 0.3s ease';
@@ -227,19 +235,127 @@ function toggleTheme() {
 
 // Theme Management
 function initThemeToggle() {
-    // Load saved theme preference
-    const savedTheme = localStorage.getItem('theme') || 
-                      (window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light');
-    document.documentElement.setAttribute('data-theme', savedTheme);
+    // Load saved preferences; without a saved theme, follow the system
+    applyReaderPreferences();
     
     // Listen for system theme changes
-    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
         if (!localStorage.getItem('theme')) {
-            document.documentElement.setAttribute('data-theme', e.matches ? 'dark' : 'light');
+            applyReaderPreferences();
         }
     });
 }
 
+// Reader Preferences
+// Theme, text size and font are kept in localStorage under 'theme',
+// 'font-size' and 'font-family'; the layout applies them before the page is
+// drawn, and the settings panel changes them
+const READER_THEMES = ['light', 'dark', 'sepia', 'contrast'];
+const FONT_SCALES = [0.85, 0.92, 1, 1.1, 1.2, 1.35, 1.5];
+
+function readFontScale() {
+    const scale = parseFloat(localStorage.getItem('font-size'));
+    return FONT_SCALES.includes(scale) ? scale : 1;
+}
+
+function applyReaderPreferences() {
+    const html = document.documentElement;
+    const theme = localStorage.getItem('theme');
+    const systemTheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    html.setAttribute('data-theme', READER_THEMES.includes(theme) ? theme : systemTheme);
+    
+    const font = localStorage.getItem('font-family');
+    if (font) {
+        html.setAttribute('data-font', font);
+    } else {
+        html.removeAttribute('data-font');
+    }
+    
+    const scale = readFontScale();
+    if (scale !== 1) {
+        html.style.setProperty('--reader-font-scale', scale);
+    } else {
+        html.style.removeProperty('--reader-font-scale');
+    }
+    
+    updateReaderSettings();
+}
+
+function setReaderPreference(key, value) {
+    // null goes back to the default
+    if (value === null) {
+        localStorage.removeItem(key);
+    } else {
+        localStorage.setItem(key, value);
+    }
+    applyReaderPreferences();
+}
+
+function toggleReaderSettings(open) {
+    const panel = document.getElementById('reader-settings');
+    if (!panel) return;
+    
+    const show = open === undefined ? panel.hidden : open;
+    panel.hidden = !show;
+    document.querySelectorAll('.reader-settings-toggle').forEach(button => {
+        button.setAttribute('aria-expanded', String(show));
+    });
+}
+
+function updateReaderSettings() {
+    const panel = document.getElementById('reader-settings');
+    if (!panel) return;
+    
+    const theme = localStorage.getItem('theme') || 'auto';
+    const font = localStorage.getItem('font-family') || 'default';
+    const scale = readFontScale();
+    
+    panel.querySelectorAll('input[name="reader-theme"]').forEach(input => {
+        input.checked = input.value === theme;
+    });
+    panel.querySelectorAll('input[name="reader-font"]').forEach(input => {
+        input.checked = input.value === font;
+    });
+    panel.querySelector('.reader-font-size').textContent = Math.round(scale * 100) + '%';
+}
+
+function initReaderSettings() {
+    const panel = document.getElementById('reader-settings');
+    if (!panel) return;
+    
+    panel.addEventListener('change', e => {
+        if (e.target.name === 'reader-theme') {
+            setReaderPreference('theme', e.target.value === 'auto' ? null : e.target.value);
+        } else if (e.target.name === 'reader-font') {
+            setReaderPreference('font-family', e.target.value === 'default' ? null : e.target.value);
+        }
+    });
+    
+    // A− and A+ step through the text sizes
+    panel.addEventListener('click', e => {
+        const button = e.target.closest('[data-font-step]');
+        if (!button) return;
+        
+        const current = FONT_SCALES.indexOf(readFontScale());
+        const index = Math.min(FONT_SCALES.length - 1, Math.max(0, current + Number(button.dataset.fontStep)));
+        setReaderPreference('font-size', FONT_SCALES[index] === 1 ? null : String(FONT_SCALES[index]));
+    });
+    
+    // Close the panel when clicking outside it or pressing Escape
+    document.addEventListener('click', e => {
+        if (!panel.hidden && !e.target.closest('#reader-settings, .reader-settings-toggle')) {
+            toggleReaderSettings(false);
+        }
+    });
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && !panel.hidden) {
+            toggleReaderSettings(false);
+        }
+    });
+    
+    updateReaderSettings();
+}
+
 // Reading Progress Indicator
 function initReadingProgress() {
     const progressBar = document.querySelector('.reading-progress');
@@ -632,6 +748,30 @@ function initCopyButtons() {
     });
 }
 
+// Offline Reading
+function initOfflineSupport() {
+    // The layout has the status only when the book is built with web.offline
+    const status = document.getElementById('offline-status');
+    if (!status || !('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.register(status.dataset.serviceWorker).catch(error => {
+        console.warn('Offline reading is not available:', error.message);
+    });
+    
+    function updateStatus() {
+        status.textContent = navigator.onLine ? '✓ Available offline' : '✈ Offline: reading the saved copy';
+        status.classList.toggle('is-offline', !navigator.onLine);
+    }
+    
+    // The service worker is ready once it has cached the whole book
+    navigator.serviceWorker.ready.then(() => {
+        updateStatus();
+        status.hidden = false;
+    });
+    window.addEventListener('online', updateStatus);
+    window.addEventListener('offline', updateStatus);
+}
+
 // Print functionality
 function printChapter() {
     window.print();
@@ -640,8 +780,8 @@ function printChapter() {
 // Add print styles
 const printStyles = `
     @media print {
-        .floating-toc, .theme-toggle, 
-        .copy-button, .reading-progress {
+        .floating-toc, .theme-toggle, .reader-settings-toggle,
+        .reader-settings, .copy-button, .reading-progress {
             display: none !important;
         }
     }
@@ -744,3 +884,244 @@ function initImageModal() {
         overlay.style.display = 'none';
     }
 }
+
+// Footnote popovers: show a note next to its reference instead of jumping to it
+function initFootnotePopovers() {
+    const popover = document.createElement('div');
+    popover.className = 'footnote-popover';
+    popover.setAttribute('role', 'note');
+    popover.hidden = true;
+    document.body.appendChild(popover);
+    
+    let current = null;
+    
+    function showNote(ref) {
+        // Endnotes live on the Notes page; those references stay plain links
+        const href = ref.getAttribute('href');
+        const note = href.startsWith('#') ? document.getElementById(href.slice(1)) : null;
+        if (!note) {
+            return false;
+        }
+        
+        popover.innerHTML = note.innerHTML;
+        popover.querySelectorAll('.footnote-back').forEach(link => link.remove());
+        popover.hidden = false;
+        
+        // Place the popover under the reference, inside the viewport
+        const rect = ref.getBoundingClientRect();
+        const left = Math.min(rect.left + window.scrollX, window.scrollX + document.documentElement.clientWidth - popover.offsetWidth - 16);
+        popover.style.top = (rect.bottom + window.scrollY + 8) + 'px';
+        popover.style.left = Math.max(window.scrollX + 16, left) + 'px';
+        current = ref;
+        return true;
+    }
+    
+    function hideNote() {
+        popover.hidden = true;
+        current = null;
+    }
+    
+    // Hide the note unless the pointer or the focus moved into it
+    function hideLater(ref) {
+        setTimeout(() => {
+            if (current === ref && !popover.matches(':hover') && !popover.contains(document.activeElement)) {
+                hideNote();
+            }
+        }, 200);
+    }
+    
+    document.querySelectorAll('.footnote-ref').forEach(ref => {
+        ref.addEventListener('mouseenter', () => showNote(ref));
+        ref.addEventListener('mouseleave', () => hideLater(ref));
+        ref.addEventListener('focus', () => showNote(ref));
+        ref.addEventListener('blur', () => hideLater(ref));
+        ref.addEventListener('click', e => {
+            if (showNote(ref)) {
+                e.preventDefault();
+            }
+        });
+    });
+    
+    popover.addEventListener('mouseleave', hideNote);
+    
+    document.addEventListener('click', e => {
+        if (!popover.hidden && !popover.contains(e.target) && !e.target.closest('.footnote-ref')) {
+            hideNote();
+        }
+    });
+    
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && !popover.hidden) {
+            hideNote();
+        }
+    });
+}
+
+// Full-text search over the prebuilt search index, entirely in the browser
+function initSearch() {
+    const dialog = document.getElementById('search-dialog');
+    const input = document.getElementById('search-input');
+    const results = document.getElementById('search-results');
+    if (!dialog || !input || !results) {
+        return;
+    }
+    
+    const root = dialog.dataset.root || '';
+    let loading = null;
+    let pages = [];
+    let matches = [];
+    let active = 0;
+    
+    function loadIndex() {
+        // Loaded once, the first time the search opens
+        if (!loading) {
+            loading = fetch(root + 'search-index.json')
+                .then(response => response.json())
+                .then(index => {
+                    pages = index.pages;
+                })
+                .catch(() => {
+                    loading = null;
+                });
+        }
+        return loading;
+    }
+    
+    function escapeHtml(text) {
+        return text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    }
+    
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    
+    function highlight(text, terms) {
+        const pattern = new RegExp('(' + terms.map(escapeRegExp).join('|') + ')', 'gi');
+        return escapeHtml(text).replace(pattern, '<mark>$1</mark>');
+    }
+    
+    function snippet(text, terms) {
+        // Some context around the first match in the section text
+        const lower = text.toLowerCase();
+        const position = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0));
+        if (!isFinite(position)) {
+            return text.slice(0, 160) + (text.length > 160 ? '…' : '');
+        }
+        const start = Math.max(0, position - 60);
+        const end = Math.min(text.length, position + 100);
+        return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+    }
+    
+    function search(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            return [];
+        }
+        
+        const found = [];
+        pages.forEach(page => {
+            page.sections.forEach(section => {
+                const title = section.title.toLowerCase();
+                const text = section.text.toLowerCase();
+                if (!terms.every(term => title.includes(term) || text.includes(term) || page.title.toLowerCase().includes(term))) {
+                    return;
+                }
+                
+                // Title matches rank first, then the number of matches in the text
+                const score = terms.reduce((total, term) => {
+                    return total + (title.includes(term) ? 10 : 0) + text.split(term).length - 1;
+                }, 0);
+                found.push({ page, section, score, terms });
+            });
+        });
+        
+        return found.sort((a, b) => b.score - a.score).slice(0, 20);
+    }
+    
+    function render() {
+        if (matches.length === 0) {
+            results.innerHTML = input.value.trim() ? '<li class="search-empty">No results</li>' : '';
+            return;
+        }
+        
+        results.innerHTML = matches.map((match, i) => {
+            const href = root + match.page.url + (match.section.id ? '#' + encodeURIComponent(match.section.id) : '');
+            const title = match.section.title || match.page.title;
+            return '<li role="option" id="search-result-' + i + '" aria-selected="' + (i === active) + '"' +
+                ' class="search-result' + (i === active ? ' active' : '') + '">' +
+                '<a href="' + href + '">' +
+                '<span class="search-result-page">' + escapeHtml(match.page.title) + '</span>' +
+                '<span class="search-result-title">' + highlight(title, match.terms) + '</span>' +
+                '<span class="search-result-snippet">' + highlight(snippet(match.section.text, match.terms), match.terms) + '</span>' +
+                '</a></li>';
+        }).join('');
+        input.setAttribute('aria-activedescendant', 'search-result-' + active);
+        
+        const current = results.querySelector('.active');
+        if (current) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+    
+    window.openSearch = function() {
+        dialog.hidden = false;
+        input.focus();
+        input.select();
+        loadIndex();
+    };
+    
+    function closeSearch() {
+        dialog.hidden = true;
+    }
+    
+    input.addEventListener('input', () => {
+        loadIndex().then(() => {
+            matches = search(input.value);
+            active = 0;
+            render();
+        });
+    });
+    
+    input.addEventListener('keydown', e => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (matches.length > 0) {
+                active = (active + (e.key === 'ArrowDown' ? 1 : matches.length - 1)) % matches.length;
+                render();
+            }
+        } else if (e.key === 'Enter') {
+            const link = results.querySelector('.active a');
+            if (link) {
+                e.preventDefault();
+                closeSearch();
+                window.location.href = link.href;
+            }
+        } else if (e.key === 'Escape') {
+            closeSearch();
+        }
+    });
+    
+    // Results on the current page only scroll, so close the dialog on click
+    results.addEventListener('click', e => {
+        if (e.target.closest('a')) {
+            closeSearch();
+        }
+    });
+    
+    dialog.addEventListener('click', e => {
+        if (e.target === dialog) {
+            closeSearch();
+        }
+    });
+    
+    // "/" or Ctrl+K opens the search from anywhere
+    document.addEventListener('keydown', e => {
+        const typing = /^(INPUT|TEXTAREA|SELECT)$/.test(document.activeElement.tagName);
+        if ((e.key === '/' && !typing) || (e.key === 'k' && (e.ctrlKey || e.metaKey))) {
+            e.preventDefault();
+            window.openSearch();
+        } else if (e.key === 'Escape' && !dialog.hidden) {
+            closeSearch();
+        }
+    });
+}
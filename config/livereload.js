@@ -0,0 +1,117 @@
+// Live reload client, injected into pages by the development server
+
+(function() {
+    const scrollKey = 'livereload-scroll:' + location.pathname;
+    
+    restoreScrollPosition();
+    
+    const events = new EventSource('/__livereload');
+    
+    events.addEventListener('reload', function() {
+        // Keep the reader's place across the reload
+        sessionStorage.setItem(scrollKey, String(window.scrollY));
+        location.reload();
+    });
+    
+    events.addEventListener('css', function() {
+        reloadStylesheets();
+    });
+    
+    events.addEventListener('build-error', function(event) {
+        showErrorOverlay(JSON.parse(event.data));
+    });
+    
+    function restoreScrollPosition() {
+        const saved = sessionStorage.getItem(scrollKey);
+        if (saved === null) {
+            return;
+        }
+        
+        sessionStorage.removeItem(scrollKey);
+        
+        const scroll = function() {
+            window.scrollTo({ top: parseInt(saved, 10), behavior: 'instant' });
+        };
+        
+        if (document.readyState === 'complete') {
+            scroll();
+        } else {
+            window.addEventListener('load', scroll);
+        }
+    }
+    
+    function showErrorOverlay(error) {
+        // Inline styles, so the overlay works even when the stylesheet is what broke
+        let overlay = document.getElementById('livereload-error');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'livereload-error';
+            overlay.setAttribute('role', 'alertdialog');
+            overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:2rem;' +
+                'background:rgba(20,20,20,0.92);color:#f8f8f2;font:14px/1.5 ui-monospace,Menlo,Consolas,monospace;';
+            document.body.appendChild(overlay);
+        }
+        
+        overlay.replaceChildren();
+        
+        const close = document.createElement('button');
+        close.textContent = '×';
+        close.setAttribute('aria-label', 'Dismiss');
+        close.style.cssText = 'position:absolute;top:1rem;right:1rem;background:none;border:0;color:inherit;font-size:1.5rem;cursor:pointer;';
+        close.addEventListener('click', function() {
+            overlay.remove();
+        });
+        
+        const title = document.createElement('h2');
+        title.textContent = 'Build failed';
+        title.style.cssText = 'margin:0 0 1rem;color:#ff6b6b;font:inherit;font-size:1.25rem;font-weight:bold;';
+        
+        const message = document.createElement('pre');
+        message.textContent = error.message;
+        message.style.cssText = 'margin:0 0 1rem;white-space:pre-wrap;';
+        
+        overlay.append(close, title, message);
+        
+        if (error.file) {
+            const location = document.createElement('div');
+            location.textContent = error.file + (error.line ? ':' + error.line : '') + (error.column ? ':' + error.column : '');
+            location.style.cssText = 'margin-bottom:0.5rem;color:#8be9fd;';
+            overlay.appendChild(location);
+        }
+        
+        if (error.frame) {
+            const frame = document.createElement('pre');
+            frame.textContent = error.frame;
+            frame.style.cssText = 'margin:0 0 1rem;padding:1rem;background:#000;border-radius:4px;overflow:auto;';
+            overlay.appendChild(frame);
+        }
+        
+        if (error.hint) {
+            const hint = document.createElement('pre');
+            hint.textContent = error.hint;
+            hint.style.cssText = 'margin:0;white-space:pre-wrap;color:#ccc;';
+            overlay.appendChild(hint);
+        }
+        
+        const footer = document.createElement('p');
+        footer.textContent = 'Fix the error and save; this page reloads once the build succeeds.';
+        footer.style.cssText = 'margin:1.5rem 0 0;color:#999;';
+        overlay.appendChild(footer);
+    }
+    
+    function reloadStylesheets() {
+        // Swap each stylesheet for a fresh copy, removing the old one once the new one has loaded
+        document.querySelectorAll('link[rel="stylesheet"]').forEach(function(link) {
+            const url = new URL(link.href);
+            url.searchParams.set('livereload', Date.now());
+            
+            const replacement = link.cloneNode();
+            replacement.href = url.toString();
+            replacement.addEventListener('load', function() {
+                link.remove();
+            });
+            
+            link.after(replacement);
+        });
+    }
+})();
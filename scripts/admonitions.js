@@ -0,0 +1,220 @@
+/**
+ * Admonitions: note, tip, warning and danger callouts
+ * Written as fenced containers in the manuscript:
+ *
+ *   :::warning Back up first
+ *   This deletes every file in the output directory.
+ *   :::
+ *
+ * The title is optional. The web build renders them with a markdown-it rule,
+ * the Pandoc builds as styled divs and the Leanpub build as native asides
+ */
+
+const { scanLines } = require('./manuscript');
+
+const ADMONITIONS = {
+    note: { title: 'Note', aside: 'A' },
+    tip: { title: 'Tip', aside: 'T', native: true },
+    warning: { title: 'Warning', aside: 'W', native: true },
+    danger: { title: 'Danger', aside: 'W' }
+};
+
+// ::: opens or closes a fenced container; Pandoc allows trailing colons on the opening fence
+const FENCE_PATTERN = /^\s*:{3,}\s*(.*?)\s*:*\s*$/;
+
+/**
+ * Read the type and title of an admonition from the text after the opening fence
+ * @param {string} attributes - Text after :::, e.g. "warning Back up first"
+ * @returns {Object|null} Type and title, or null for other fenced divs
+ */
+function parseAdmonition(attributes) {
+    const match = attributes.match(/^(\w+)(?:\s+(.*))?$/);
+    const type = match?.[1].toLowerCase();
+    
+    if (!type || !ADMONITIONS[type]) {
+        return null;
+    }
+    
+    return {
+        type,
+        title: match[2] || ADMONITIONS[type].title,
+        customTitle: Boolean(match[2])
+    };
+}
+
+/**
+ * Rewrite the admonitions of a Markdown document line by line
+ * Fenced divs that are not admonitions and anything inside code blocks are kept
+ * @param {string} markdown - Markdown content
+ * @param {Object} render - Callbacks returning replacement lines
+ * @param {Function} render.open - Lines for an opening fence
+ * @param {Function} render.close - Lines for a closing fence
+ * @param {Function} [render.line] - Replacement for a line, given the innermost open admonition
+ * @returns {string} Rewritten Markdown
+ */
+function mapAdmonitions(markdown, render) {
+    // Open fenced divs, innermost last; null for divs that are not admonitions
+    const stack = [];
+    const output = [];
+    
+    for (const { text, line, inCode } of scanLines(markdown)) {
+        const fence = inCode ? null : text.match(FENCE_PATTERN);
+        
+        if (fence && fence[1]) {
+            const admonition = parseAdmonition(fence[1]);
+            stack.push(admonition && { ...admonition, line, closed: false });
+            
+            if (admonition) {
+                output.push(...render.open(stack[stack.length - 1]));
+                continue;
+            }
+        } else if (fence && stack.length > 0) {
+            const admonition = stack.pop();
+            
+            if (admonition) {
+                admonition.closed = true;
+                output.push(...render.close(admonition));
+                continue;
+            }
+        }
+        
+        const current = stack.filter(Boolean).pop() || null;
+        output.push(render.line ? render.line(text, current) : text);
+    }
+    
+    return output.join('\n');
+}
+
+/**
+ * List the admonitions of a Markdown document
+ * @param {string} markdown - Markdown content
+ * @returns {Array<Object>} Admonitions with type, title, line and whether they are closed
+ */
+function listAdmonitions(markdown) {
+    const admonitions = [];
+    
+    mapAdmonitions(markdown, {
+        open: admonition => {
+            admonitions.push(admonition);
+            return [];
+        },
+        close: () => []
+    });
+    
+    return admonitions;
+}
+
+/**
+ * Admonitions as Pandoc divs with a title, styled by the PDF and EPUB stylesheets
+ * @param {string} markdown - Markdown content
+ * @returns {string} Pandoc Markdown
+ */
+function toPandocAdmonitions(markdown) {
+    return mapAdmonitions(markdown, {
+        open: ({ type, title }) => [
+            '',
+            `::: {.admonition .admonition-${type}}`,
+            '::: admonition-title',
+            title,
+            ':::',
+            ''
+        ],
+        close: () => [':::', '']
+    });
+}
+
+/**
+ * Admonitions as Leanpub asides (A>, T> and W>)
+ * Tips and warnings use Leanpub's own labels; notes, dangers and custom titles get a heading
+ * @param {string} markdown - Markdown content
+ * @returns {string} Leanpub Markdown
+ */
+function toLeanpubAdmonitions(markdown) {
+    return mapAdmonitions(markdown, {
+        open: ({ type, title, customTitle }) => {
+            const { aside, native } = ADMONITIONS[type];
+            return native && !customTitle ? [''] : ['', `${aside}> ## ${title}`, `${aside}>`];
+        },
+        close: () => [''],
+        line: (text, admonition) => {
+            return admonition ? `${ADMONITIONS[admonition.type].aside}> ${text}`.trimEnd() : text;
+        }
+    });
+}
+
+/**
+ * markdown-it plugin rendering admonitions as
+ * <div class="admonition admonition-warning"><p class="admonition-title">Warning</p>...</div>
+ * @param {Object} md - markdown-it instance
+ */
+function markdownItAdmonitions(md) {
+    md.block.ruler.before('fence', 'admonition', (state, startLine, endLine, silent) => {
+        // Indented four or more spaces it is a code block
+        if (state.sCount[startLine] - state.blkIndent >= 4) {
+            return false;
+        }
+        
+        const lineText = nextLine => state.src.slice(state.bMarks[nextLine] + state.tShift[nextLine], state.eMarks[nextLine]);
+        const fence = lineText(startLine).match(FENCE_PATTERN);
+        const admonition = fence && parseAdmonition(fence[1]);
+        
+        if (!admonition) {
+            return false;
+        }
+        if (silent) {
+            return true;
+        }
+        
+        // Find the closing fence, skipping nested fenced divs; unclosed admonitions run to the end
+        let nextLine = startLine;
+        let depth = 1;
+        while (++nextLine < endLine && state.sCount[nextLine] >= state.blkIndent) {
+            const nested = lineText(nextLine).match(FENCE_PATTERN);
+            if (nested) {
+                depth += nested[1] ? 1 : -1;
+                if (depth === 0) {
+                    break;
+                }
+            }
+        }
+        
+        const oldParent = state.parentType;
+        const oldLineMax = state.lineMax;
+        state.parentType = 'admonition';
+        state.lineMax = nextLine;
+        
+        let token = state.push('admonition_open', 'div', 1);
+        token.block = true;
+        token.info = admonition.type;
+        token.map = [startLine, nextLine];
+        token.attrSet('class', `admonition admonition-${admonition.type}`);
+        token.attrSet('role', 'note');
+        
+        token = state.push('admonition_title_open', 'p', 1);
+        token.attrSet('class', 'admonition-title');
+        token = state.push('inline', '', 0);
+        token.content = admonition.title;
+        token.map = [startLine, startLine + 1];
+        token.children = [];
+        state.push('admonition_title_close', 'p', -1);
+        
+        state.md.block.tokenize(state, startLine + 1, nextLine);
+        
+        state.push('admonition_close', 'div', -1);
+        
+        state.parentType = oldParent;
+        state.lineMax = oldLineMax;
+        state.line = Math.min(nextLine + 1, endLine);
+        return true;
+    }, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+}
+
+module.exports = {
+    ADMONITIONS,
+    parseAdmonition,
+    mapAdmonitions,
+    listAdmonitions,
+    toPandocAdmonitions,
+    toLeanpubAdmonitions,
+    markdownItAdmonitions
+};
@@ -90,62 +90,8 @@ function getAuthorObjects(metadata) {
     return [];
 }
 
-/**
- * Generate "About the Authors" section for multi-author books
- * @param {Object} metadata - Book metadata
- * @returns {string} Formatted about authors section
- */
-function generateAboutAuthors(metadata) {
-    const authors = getAuthorObjects(metadata);
-    
-    if (authors.length === 0) {
-        return '# About the Author\n\nAdd your biography here.';
-    }
-    
-    if (authors.length === 1) {
-        const author = authors[0];
-        return `# About the Author
-
-${author.bio || `${author.name} is...`}
-
-Add your biography here.`;
-    }
-    
-    // Multiple authors
-    let content = '# About the Authors\n\n';
-    
-    authors.forEach((author, index) => {
-        content += `## ${author.name}\n\n`;
-        content += `${author.bio || `${author.name} is...`}\n\n`;
-        
-        // Add contact info if available
-        const contacts = [];
-        if (author.website) contacts.push(`[🌐 Website](${author.website})`);
-        if (author.linkedin) contacts.push(`[👔 LinkedIn](${author.linkedin})`);
-        if (author.github) contacts.push(`[📦 GitHub](${author.github})`);
-        if (author.twitter) {
-            const twitterUrl = author.twitter.startsWith('@') 
-                ? `https://twitter.com/${author.twitter.substring(1)}`
-                : `https://twitter.com/${author.twitter}`;
-            contacts.push(`[🐦 Twitter](${twitterUrl})`);
-        }
-        if (author.email) contacts.push(`[📧 Email](mailto:${author.email})`);
-        
-        if (contacts.length > 0) {
-            content += `Contact: ${contacts.join(' • ')}\n\n`;
-        }
-        
-        if (index < authors.length - 1) {
-            content += '---\n\n';
-        }
-    });
-    
-    return content;
-}
-
 module.exports = {
     getAuthorString,
     getAuthorArray,
-    getAuthorObjects,
-    generateAboutAuthors
+    getAuthorObjects
 };
@@ -0,0 +1,68 @@
+/**
+ * Single-page edition of the web build
+ * Every chapter page is placed in one document, docs/book.html, for reading
+ * offline, printing, or as input to an HTML-based PDF engine. Ids that more
+ * than one page uses are prefixed with the page's own id, and links between
+ * pages become links within the document
+ */
+
+// An id attribute, and an href or src attribute, in rendered HTML
+const ID_PATTERN = /\sid="([^"]*)"/g;
+const URL_PATTERN = /\s(href|src)="([^"]*)"/g;
+
+// Absolute URLs (https:, mailto:, //host) and the site root are left alone
+const EXTERNAL_PATTERN = /^(?:[a-z][a-z0-9+.-]*:|\/)/i;
+
+/**
+ * Combine rendered pages into one document
+ * @param {Array<Object>} pages - Pages in reading order, with id (unique in the
+ * document), files (the page and source names links may use) and html
+ * @returns {Object} Pages with their HTML rewritten, and resolve() for links
+ * written relative to the chapters/ directory
+ */
+function combinePages(pages) {
+    // Count the pages each id appears on
+    const counts = new Map();
+    for (const page of pages) {
+        for (const id of new Set([...page.html.matchAll(ID_PATTERN)].map(match => match[1]))) {
+            counts.set(id, (counts.get(id) || 0) + 1);
+        }
+    }
+    
+    const byFile = new Map();
+    pages.forEach(page => page.files.forEach(file => byFile.set(file, page)));
+    
+    const anchor = (page, id) => (counts.get(id) > 1 ? `${page.id}-${id}` : id);
+    
+    const resolve = (url, from = null) => {
+        if (url.startsWith('#')) {
+            return from ? `#${anchor(from, url.slice(1))}` : url;
+        }
+        if (url === '' || EXTERNAL_PATTERN.test(url)) {
+            return url;
+        }
+        
+        const [file, fragment] = url.split('#');
+        const target = byFile.get(file.replace(/^\.\//, ''));
+        if (target) {
+            return `#${fragment ? anchor(target, fragment) : target.id}`;
+        }
+        
+        // Images and assets are a level up from the chapter pages; other pages stay where they are
+        return url.startsWith('../') ? url.slice(3) : `chapters/${url}`;
+    };
+    
+    return {
+        pages: pages.map(page => ({
+            ...page,
+            html: page.html
+                .replace(ID_PATTERN, (match, id) => ` id="${anchor(page, id)}"`)
+                .replace(URL_PATTERN, (match, attribute, url) => ` ${attribute}="${resolve(url, page)}"`)
+        })),
+        resolve
+    };
+}
+
+module.exports = {
+    combinePages
+};
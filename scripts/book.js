@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Unified command line interface for the book generation system
+ * Wraps the individual build, validation and statistics scripts
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseArgs } = require('util');
+const { buildAll, FORMATS, getOutputDir, getReportPath } = require('./build-all');
+const validate = require('./validate');
+const countWords = require('./word-count');
+const startDevServer = require('./dev-server');
+const { DEFAULT_SOURCE_DIR, findChapterFiles, loadMetadata, slugify } = require('./manuscript');
+const { DEFAULT_CACHE_DIR } = require('./build-cache');
+const { redirectOutputToStderr } = require('./run-command');
+const { UsageError, handleCliError } = require('./errors');
+
+const OPTIONS = {
+    source: { type: 'string', short: 's' },
+    'out-dir': { type: 'string', short: 'o' },
+    config: { type: 'string', short: 'c' },
+    'include-drafts': { type: 'boolean' },
+    force: { type: 'boolean', short: 'f' },
+    port: { type: 'string', short: 'p' },
+    host: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v' },
+    quiet: { type: 'boolean', short: 'q' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const HELP = `Usage: book <command> [options]
+
+Commands:
+  build [formats...]     Build the given formats (web, pdf, kindle, leanpub) in parallel, or all
+  dev                    Start the development server with auto-rebuild
+  validate               Check book structure, metadata and chapters
+  stats                  Count words and estimate reading time
+  new chapter <title>    Create the next numbered chapter as a draft
+  clean                  Remove generated output
+
+Options:
+  -s, --source <dir>     Manuscript source directory (default: src)
+  -o, --out-dir <dir>    Write every format to <dir>/<format> instead of the default locations
+  -c, --config <file>    Book metadata file (default: <source>/metadata/book.yaml)
+      --include-drafts   Build chapters with draft status
+  -f, --force            Ignore the build cache and rebuild everything
+  -p, --port <number>    Development server port (default: 3000)
+      --host <host>      Development server host (default: localhost, 0.0.0.0 for your network)
+  -v, --verbose          Show stack traces for errors
+  -q, --quiet            Only print errors
+      --json             Print machine-readable results to stdout
+  -h, --help             Show this help
+
+Exit codes:
+  0  Success
+  1  Build failed
+  2  Invalid command line usage
+  3  Invalid book metadata, front matter or structure
+  4  Validation found errors
+  5  A required tool such as Pandoc is missing`;
+
+/**
+ * Parse and check a port number option
+ * @param {string} [value] - Option value
+ * @returns {number|undefined} Port number
+ */
+function parsePort(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new UsageError(`Invalid port "${value}"`);
+    }
+    
+    return port;
+}
+
+/**
+ * Parse command line arguments into a command, its arguments and options
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Object} Parsed command line
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: OPTIONS,
+            allowPositionals: true
+        });
+    } catch (error) {
+        // Unknown options and missing option values are usage errors
+        if (error.code?.startsWith('ERR_PARSE_ARGS_')) {
+            throw new UsageError(error.message, { cause: error, hint: 'Run book --help to see the options' });
+        }
+        throw error;
+    }
+    
+    const { values, positionals } = parsed;
+    
+    const [command, ...args] = positionals;
+    
+    return {
+        command,
+        args,
+        flags: values,
+        options: {
+            sourceDir: values.source || DEFAULT_SOURCE_DIR,
+            outDir: values['out-dir'],
+            configFile: values.config,
+            includeDrafts: Boolean(values['include-drafts']),
+            force: Boolean(values.force),
+            port: parsePort(values.port),
+            host: values.host,
+            verbose: Boolean(values.verbose),
+            json: Boolean(values.json)
+        }
+    };
+}
+
+async function runNewChapter(args, options) {
+    const [kind, ...titleWords] = args;
+    const title = titleWords.join(' ').trim();
+    
+    if (kind !== 'chapter' || !title) {
+        throw new UsageError('Usage: book new chapter <title>');
+    }
+    
+    const chaptersDir = path.join(options.sourceDir, 'chapters');
+    const existing = await findChapterFiles(options.sourceDir);
+    const lastNumber = existing.reduce((max, file) => {
+        const number = parseInt(file.match(/^(\d+)/)?.[1], 10);
+        return Number.isNaN(number) ? max : Math.max(max, number);
+    }, 0);
+    
+    const file = `${String(lastNumber + 1).padStart(2, '0')}-${slugify(title)}.md`;
+    const filePath = path.join(chaptersDir, file);
+    
+    await fs.ensureDir(chaptersDir);
+    await fs.writeFile(filePath, `---
+status: draft
+---
+
+# ${title}
+
+Start writing here.
+`);
+
+    console.log(`📝 Created ${filePath}`);
+    
+    const metadata = await loadMetadata(options.sourceDir, options.configFile).catch(() => ({}));
+    if (metadata.structure) {
+        console.log(`ℹ️  Add ${file} to the structure section of your book metadata to include it in builds`);
+    }
+    
+    return { file: filePath };
+}
+
+async function runClean(options) {
+    const targets = Object.keys(FORMATS).map(format => getOutputDir(format, options));
+    targets.push('temp', DEFAULT_CACHE_DIR);
+    
+    // Only what the build writes under --out-dir, never the directory itself
+    if (options.outDir) {
+        targets.push(getReportPath(options));
+    }
+    
+    for (const target of targets) {
+        await fs.remove(target);
+    }
+    
+    console.log('🧹 Removed generated output');
+    
+    return { removed: targets };
+}
+
+async function run(argv) {
+    const { command, args, flags, options } = parseCommandLine(argv);
+    
+    if (flags.help || !command) {
+        console.log(HELP);
+        return null;
+    }
+    
+    switch (command) {
+    case 'build':
+        return buildAll({ ...options, formats: args });
+    case 'dev':
+        return startDevServer({
+            ...options,
+            outputDir: getOutputDir('web', options)
+        });
+    case 'validate':
+        return validate(options);
+    case 'stats':
+        return countWords(options);
+    case 'new':
+        return runNewChapter(args, options);
+    case 'clean':
+        return runClean(options);
+    default:
+        throw new UsageError(`Unknown command "${command}". Run "book --help" for usage.`);
+    }
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const json = argv.includes('--json');
+    const quiet = argv.includes('--quiet') || argv.includes('-q');
+    const verbose = argv.includes('--verbose') || argv.includes('-v');
+    const print = console.log;
+    
+    // Keep stdout clean for JSON; progress output goes to stderr instead
+    if (json) {
+        console.log = console.error;
+        redirectOutputToStderr();
+    } else if (quiet) {
+        console.log = () => {};
+    }
+    
+    try {
+        const result = await run(argv);
+        
+        if (json && result !== undefined) {
+            print(JSON.stringify(result, null, 2));
+        }
+    } catch (error) {
+        // Failed validation still reports its findings
+        if (json && error.result) {
+            print(JSON.stringify(error.result, null, 2));
+        }
+        
+        handleCliError(error, { verbose });
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    run,
+    parseCommandLine
+};
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Multi-format build orchestrator
+ * Loads the manuscript once, builds every format concurrently and reports
+ * artifacts, sizes, durations and warnings, including formats that failed
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const buildWeb = require('./build-web');
+const buildPDF = require('./build-pdf');
+const buildKindle = require('./build-kindle');
+const buildLeanpub = require('./build-leanpub');
+const { loadBook } = require('./manuscript');
+const { UsageError, IncompleteBuildError, handleCliError } = require('./errors');
+
+const FORMATS = {
+    web: { build: buildWeb, outputDir: 'docs', subdir: 'web' },
+    pdf: { build: buildPDF, outputDir: 'dist', subdir: 'pdf' },
+    kindle: { build: buildKindle, outputDir: 'build/kindle', subdir: 'kindle' },
+    leanpub: { build: buildLeanpub, outputDir: 'manuscript', subdir: 'manuscript' }
+};
+
+const FORMAT_ALIASES = {
+    epub: 'kindle',
+    mobi: 'kindle',
+    html: 'web'
+};
+
+const REPORT_FILE = 'build-report.json';
+
+/**
+ * Resolve the output directory of a format
+ * @param {string} format - Format name
+ * @param {Object} options - Build options
+ * @param {string} [options.outDir] - Shared output root, one subdirectory per format
+ * @returns {string} Output directory
+ */
+function getOutputDir(format, options) {
+    return options.outDir
+        ? path.join(options.outDir, FORMATS[format].subdir)
+        : FORMATS[format].outputDir;
+}
+
+/**
+ * Resolve requested format names, expanding aliases
+ * @param {Array<string>} names - Format names from the command line
+ * @returns {Array<string>} Format names in build order
+ */
+function resolveFormats(names) {
+    if (names.length === 0) {
+        return Object.keys(FORMATS);
+    }
+    
+    return [...new Set(names.map(name => {
+        const format = FORMAT_ALIASES[name.toLowerCase()] || name.toLowerCase();
+        if (!FORMATS[format]) {
+            throw new UsageError(`Unknown format "${name}". Available formats: ${Object.keys(FORMATS).join(', ')}`);
+        }
+        return format;
+    }))];
+}
+
+/**
+ * Resolve where the build report is written
+ * @param {Object} options - Build options
+ * @returns {string} Report path
+ */
+function getReportPath(options) {
+    return path.join(options.outDir || FORMATS.pdf.outputDir, REPORT_FILE);
+}
+
+/**
+ * Build several formats concurrently
+ * A failing format does not stop the others; the build fails once all have finished
+ * @param {Object} [options] - Build options
+ * @param {Array<string>} [options.formats] - Formats to build, defaults to all
+ * @param {string} [options.outDir] - Shared output root
+ * @returns {Promise<Object>} Build report
+ */
+async function buildAll(options = {}) {
+    const startedAt = Date.now();
+    const formats = resolveFormats(options.formats || []);
+    
+    // Parse the manuscript once; each builder gets its own copy to decorate
+    const book = await loadBook(options);
+    
+    console.log(`🏗️  Building ${formats.join(', ')}...`);
+    
+    const settled = await Promise.allSettled(formats.map(format => FORMATS[format].build({
+        ...options,
+        outputDir: getOutputDir(format, options),
+        book: structuredClone(book)
+    })));
+    
+    const results = [];
+    for (const [index, outcome] of settled.entries()) {
+        results.push(await describeOutcome(formats[index], outcome, options));
+    }
+    
+    const report = {
+        generatedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        success: results.every(result => result.status === 'success'),
+        formats: results
+    };
+    
+    const reportPath = getReportPath(options);
+    await fs.ensureDir(path.dirname(reportPath));
+    await fs.writeJson(reportPath, report, { spaces: 2 });
+    
+    printSummary(report);
+    console.log(`📝 Build report written to ${reportPath}`);
+    
+    if (!report.success) {
+        throw new IncompleteBuildError(report);
+    }
+    
+    return report;
+}
+
+/**
+ * Turn a settled builder promise into a report entry
+ * @param {string} format - Format name
+ * @param {Object} outcome - Settled promise
+ * @param {Object} options - Build options
+ * @returns {Promise<Object>} Report entry
+ */
+async function describeOutcome(format, outcome, options) {
+    const outputDir = getOutputDir(format, options);
+    
+    if (outcome.status === 'rejected') {
+        const error = outcome.reason;
+        return {
+            format,
+            status: 'failed',
+            outputDir,
+            outputs: [],
+            warnings: [],
+            durationMs: null,
+            error: error.cause?.message || error.message
+        };
+    }
+    
+    const result = outcome.value;
+    const outputs = [];
+    for (const outputPath of result.outputs) {
+        outputs.push({
+            path: outputPath,
+            size: await getFileSize(outputPath),
+            cached: result.cached.includes(outputPath)
+        });
+    }
+    
+    return {
+        format,
+        status: 'success',
+        outputDir,
+        outputs,
+        warnings: result.warnings,
+        durationMs: result.durationMs
+    };
+}
+
+async function getFileSize(filePath) {
+    try {
+        return (await fs.stat(filePath)).size;
+    } catch (error) {
+        return null;
+    }
+}
+
+function formatSize(bytes) {
+    if (bytes === null) {
+        return '-';
+    }
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatDuration(ms) {
+    return ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function printSummary(report) {
+    const line = '='.repeat(72);
+    
+    console.log('\n📦 Build Summary');
+    console.log(line);
+    console.log(`${'Format'.padEnd(9)}${'Status'.padEnd(10)}${'Time'.padStart(6)}  ${'Artifact'.padEnd(36)}${'Size'.padStart(9)}`);
+    console.log(line);
+    
+    report.formats.forEach(result => {
+        const status = result.status === 'success' ? '✅ ok' : '❌ failed';
+        const prefix = `${result.format.padEnd(9)}${status.padEnd(10)}${formatDuration(result.durationMs).padStart(6)}  `;
+        
+        if (result.status === 'failed') {
+            console.log(`${prefix}${result.error}`);
+            return;
+        }
+        
+        if (result.outputs.length === 0) {
+            console.log(`${prefix}(no artifacts)`);
+        }
+        
+        result.outputs.forEach((output, index) => {
+            const artifact = output.path.length > 35 ? `…${output.path.slice(-34)}` : output.path;
+            const start = index === 0 ? prefix : ' '.repeat(prefix.length);
+            console.log(`${start}${artifact.padEnd(36)}${formatSize(output.size).padStart(9)}${output.cached ? '  (cached)' : ''}`);
+        });
+    });
+    
+    console.log(line);
+    
+    report.formats.forEach(result => {
+        result.warnings.forEach(warning => console.log(`⚠️  ${result.format}: ${warning}`));
+    });
+    
+    const succeeded = report.formats.filter(result => result.status === 'success').length;
+    const failed = report.formats.length - succeeded;
+    console.log(`${succeeded} succeeded • ${failed} failed in ${formatDuration(report.durationMs)}`);
+}
+
+// Run the script
+if (require.main === module) {
+    buildAll({
+        includeDrafts: process.argv.includes('--include-drafts'),
+        force: process.argv.includes('--force')
+    })
+        .catch(error => handleCliError(error));
+}
+
+module.exports = {
+    buildAll,
+    FORMATS,
+    getOutputDir,
+    getReportPath,
+    resolveFormats
+};
@@ -0,0 +1,204 @@
+/**
+ * Persistent content-hash cache for incremental builds
+ * Builders record a hash of the inputs behind each output; when the hash is
+ * unchanged and the output still exists, the work is skipped
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = '.cache';
+
+/**
+ * Hash any number of strings or JSON-serialisable values
+ * @param {...*} parts - Values to hash
+ * @returns {string} Hex digest
+ */
+function hashContent(...parts) {
+    const hash = crypto.createHash('sha256');
+    
+    parts.forEach(part => {
+        hash.update(typeof part === 'string' ? part : JSON.stringify(part) || '');
+        hash.update('\0');
+    });
+    
+    return hash.digest('hex');
+}
+
+/**
+ * Hash the contents of files, treating missing files as empty
+ * @param {Array<string>} filePaths - Files to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFiles(filePaths) {
+    const contents = [];
+    
+    for (const filePath of filePaths) {
+        contents.push(filePath);
+        contents.push(await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf8') : '');
+    }
+    
+    return hashContent(...contents);
+}
+
+/**
+ * Hash a directory listing by file name, size and modification time
+ * Cheap enough for large image folders, which are never read in full
+ * @param {string} dir - Directory to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashDirectory(dir) {
+    if (!await fs.pathExists(dir)) {
+        return hashContent('');
+    }
+    
+    const entries = [];
+    const walk = async current => {
+        for (const name of (await fs.readdir(current)).sort()) {
+            const filePath = path.join(current, name);
+            const stats = await fs.stat(filePath);
+            
+            if (stats.isDirectory()) {
+                await walk(filePath);
+            } else {
+                entries.push([path.relative(dir, filePath), stats.size, stats.mtimeMs]);
+            }
+        }
+    };
+    await walk(dir);
+    
+    return hashContent(entries);
+}
+
+/**
+ * Copy a file or directory, skipping files whose copy is already up to date
+ * @param {string} src - Source path
+ * @param {string} dest - Destination path
+ * @returns {Promise<void>}
+ */
+async function copyIfChanged(src, dest) {
+    await fs.copy(src, dest, {
+        filter: async (srcPath, destPath) => {
+            const srcStats = await fs.stat(srcPath);
+            if (srcStats.isDirectory()) {
+                return true;
+            }
+            
+            const destStats = await fs.stat(destPath).catch(() => null);
+            return !destStats
+                || destStats.size !== srcStats.size
+                || destStats.mtimeMs < srcStats.mtimeMs;
+        }
+    });
+}
+
+/**
+ * Open the cache of one format
+ * @param {string} name - Cache name, usually the format
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.cacheDir] - Cache directory (default: .cache)
+ * @param {boolean} [options.force] - Ignore cached entries and rebuild everything
+ * @param {Array<string>} [options.sources] - Builder source files; editing them invalidates the cache
+ * @returns {Promise<Object>} Cache with lookup, store and save methods
+ */
+async function openBuildCache(name, options = {}) {
+    const cachePath = path.join(options.cacheDir || DEFAULT_CACHE_DIR, `${name}.json`);
+    const salt = await hashFiles([__filename, require.resolve('./manuscript'), ...(options.sources || [])]);
+    
+    let entries = {};
+    if (!options.force && await fs.pathExists(cachePath)) {
+        const stored = await fs.readJson(cachePath).catch(() => ({}));
+        entries = stored.salt === salt ? stored.entries || {} : {};
+    }
+    
+    return {
+        /**
+         * Find a fresh entry: same input hash and every recorded output still on disk
+         * @param {string} key - Entry key, usually the output path
+         * @param {string} hash - Hash of the current inputs
+         * @returns {Promise<Object|null>} Stored entry or null
+         */
+        async lookup(key, hash) {
+            const entry = entries[key];
+            if (!entry || entry.hash !== hash) {
+                return null;
+            }
+            
+            for (const output of entry.outputs || [key]) {
+                if (!await fs.pathExists(output)) {
+                    return null;
+                }
+            }
+            
+            return entry;
+        },
+        
+        /**
+         * Record the inputs behind an output
+         * @param {string} key - Entry key
+         * @param {string} hash - Hash of the inputs
+         * @param {Object} [data] - Extra data such as outputs and warnings
+         */
+        store(key, hash, data = {}) {
+            entries[key] = { ...data, hash };
+        },
+        
+        /**
+         * Drop the entries of outputs that no longer exist
+         * @param {Array<string>} keys - Keys to drop
+         */
+        forget(keys) {
+            keys.forEach(key => delete entries[key]);
+        },
+        
+        async save() {
+            await fs.ensureDir(path.dirname(cachePath));
+            await fs.writeJson(cachePath, { salt, entries }, { spaces: 2 });
+        }
+    };
+}
+
+/**
+ * Reuse the outputs of an earlier build whose inputs are unchanged
+ * @param {Object} cache - Cache from openBuildCache
+ * @param {string} key - Entry key
+ * @param {string} hash - Hash of the current inputs
+ * @param {Object} result - Build result to fill in
+ * @returns {Promise<boolean>} Whether the cached outputs were reused
+ */
+async function restoreBuildResult(cache, key, hash, result) {
+    const entry = await cache.lookup(key, hash);
+    if (!entry) {
+        return false;
+    }
+    
+    result.outputs.push(...entry.outputs);
+    result.cached.push(...entry.outputs);
+    result.warnings.push(...entry.warnings);
+    return true;
+}
+
+/**
+ * Remember the outputs and warnings of a finished build
+ * @param {Object} cache - Cache from openBuildCache
+ * @param {string} key - Entry key
+ * @param {string} hash - Hash of the inputs
+ * @param {Object} result - Finished build result
+ * @returns {Promise<void>}
+ */
+async function storeBuildResult(cache, key, hash, result) {
+    cache.store(key, hash, { outputs: result.outputs, warnings: result.warnings });
+    await cache.save();
+}
+
+module.exports = {
+    DEFAULT_CACHE_DIR,
+    hashContent,
+    hashFiles,
+    hashDirectory,
+    copyIfChanged,
+    openBuildCache,
+    restoreBuildResult,
+    storeBuildResult
+};
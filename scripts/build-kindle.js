@@ -4,189 +4,225 @@ const fs = require('fs-extra');
 const path = require('path');
 const yaml = require('yaml');
 const { execSync } = require('child_process');
-const { getAuthorString, getAuthorArray } = require('./author-utils');
+const { runCommand } = require('./run-command');
+const { getAuthorArray } = require('./author-utils');
+const { loadBook, slugify, isFirstInPart, toPandocMarkdown } = require('./manuscript');
+const { loadPlugins } = require('./plugins');
+const { toPandocAdmonitions } = require('./admonitions');
+const { buildReferenceIndex, resolveReferences, linkWithinDocument, toPandocLabels } = require('./cross-references');
+const { createNumbering, numberMarkdown } = require('./numbering');
+const { collectLists, toListMarkdown } = require('./lists');
+const { resolveNotes, placeFootnotes, formatEndnotes } = require('./footnotes');
+const { MATTER_TYPES, resolvePageList, resolveIdentifier, resolveSeries, resolveSubjects, addEpubType, addPageBreaks, finishEpub } = require('./epub');
+const { BuildError, DependencyError, handleCliError } = require('./errors');
+const { createBuildResult, completeBuildResult } = require('./build-result');
+const { hashContent, hashFiles, hashDirectory, copyIfChanged, openBuildCache, restoreBuildResult, storeBuildResult } = require('./build-cache');
 
-async function buildKindle() {
+async function buildKindle(options = {}) {
     console.log('📱 Building Kindle format...');
+    const result = createBuildResult('kindle');
     
     try {
         // Check if Pandoc is installed
         try {
             execSync('pandoc --version', { stdio: 'pipe' });
         } catch (error) {
-            console.error('❌ Pandoc is required but not installed.');
-            console.log('Install Pandoc from: https://pandoc.org/installing.html');
-            process.exit(1);
+            throw new DependencyError('Pandoc is required but not installed.', {
+                hint: 'Install Pandoc from: https://pandoc.org/installing.html'
+            });
         }
         
         // Ensure build directory exists
-        await fs.ensureDir('build/kindle');
+        const outDir = options.outputDir || 'build/kindle';
+        await fs.ensureDir(outDir);
         
-        // Read book metadata
-        const bookMetadata = yaml.parse(
-            await fs.readFile('src/metadata/book.yaml', 'utf8')
-        );
+        // Load book metadata and chapters
+        const book = options.book || await loadBook(options);
+        const bookMetadata = book.metadata;
         
-        // Get all chapter files
-        const chaptersDir = 'src/chapters';
-        const chapterFiles = await fs.readdir(chaptersDir);
-        const markdownFiles = chapterFiles
-            .filter(file => file.endsWith('.md'))
-            .sort()
-            .map(file => path.join(chaptersDir, file));
+        if (book.skippedDrafts.length > 0) {
+            console.log(`📝 Skipping ${book.skippedDrafts.length} draft chapter(s), use --include-drafts to build them`);
+        }
         
-        // Create combined markdown file
-        let combinedContent = '';
+        const plugins = await loadPlugins(book, options);
         
-        // Add title page
-        combinedContent += createTitlePage(bookMetadata);
+        // Numbers are written into the headings and captions; cross-references become links to anchors inside the EPUB
+        const numbering = createNumbering(book);
+        const references = buildReferenceIndex(book);
+        const linkTo = linkWithinDocument([...book.frontMatter, ...book.chapters, ...book.backMatter]);
+        // Anchors are only unique within a chapter, so repeats in the combined book get a suffix that keeps clear of the labels
+        const headingIds = new Set(references.targets.keys());
         
-        // Generate comprehensive table of contents
-        const tocEntries = [];
-        const chapterContents = [];
+        // Footnotes end each chapter, endnotes are collected in a Notes chapter
+        const notes = resolveNotes(bookMetadata);
+        const endnotes = [];
         
-        // First pass: Read all chapters and extract structure for TOC
-        for (const filePath of markdownFiles) {
-            const content = await fs.readFile(filePath, 'utf8');
-            
+        const renderSection = async (chapter, type) => {
             // Process image paths for the build directory structure
-            const processedContent = processImagePaths(content);
-            chapterContents.push(processedContent);
-            
-            // Extract the main title (first # heading)
-            const titleMatch = content.match(/^#\s+(.+)$/m);
-            if (titleMatch) {
-                const title = titleMatch[1].trim();
-                const chapterNumber = path.basename(filePath).match(/^(\d+)/)?.[1];
-                
-                // Extract section headings (## level)
-                const sectionMatches = content.match(/^##\s+(.+)$/gm);
-                const sections = sectionMatches ? sectionMatches.map(match => {
-                    const sectionTitle = match.replace(/^##\s+/, '').trim();
-                    return {
-                        title: sectionTitle,
-                        anchor: sectionTitle.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
-                    };
-                }) : [];
-                
-                tocEntries.push({
-                    number: chapterNumber,
-                    title: title,
-                    anchor: title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
-                    sections: sections
-                });
-            }
+            const context = { format: 'kindle', book, chapter };
+            const resolved = resolveReferences(await plugins.run('beforeParse', chapter.body, context), references, linkTo);
+            const id = chapter.file.replace(/\.md$/, '');
+            const { markdown: body, notes: chapterNotes } = placeFootnotes(resolved, { id, format: 'pandoc', style: notes });
+            endnotes.push({ title: chapter.title, id, notes: chapterNotes });
+            const markdown = toPandocMarkdown({ ...chapter, body });
+            const numbered = numberMarkdown(markdown, numbering.number(markdown, chapter.file), 'pandoc', headingIds);
+            const section = addEpubType(numbered, type);
+            return { ...section, markdown: await plugins.run('afterRender', processImagePaths(toPandocLabels(toPandocAdmonitions(section.markdown))), context) };
+        };
+        
+        // Front matter, the lists of figures and tables, the parts and chapters, the notes and the back matter,
+        // each section marked with its epub:type. Pandoc writes the title page and the table of contents
+        const sections = [];
+        const landmarks = { bodymatter: null, backmatter: null };
+        
+        for (const section of book.frontMatter) {
+            sections.push((await renderSection(section, MATTER_TYPES[section.file.replace(/\.md$/, '')])).markdown);
         }
         
-        // Create unified table of contents page
-        if (tocEntries.length > 0) {
-            combinedContent += '\n\n\\newpage\n\n<div class="table-of-contents">\n\n# Table of Contents\n\n';
-            
-            tocEntries.forEach((entry, index) => {
-                const chapterNum = entry.number || (index + 1);
-                combinedContent += `**${chapterNum}. [${entry.title}](#${entry.anchor})**\n\n`;
-                
-                // Add sections as sub-items with better formatting
-                if (entry.sections.length > 0) {
-                    entry.sections.forEach(section => {
-                        combinedContent += `   • [${section.title}](#${section.anchor})\n\n`;
-                    });
-                }
-                combinedContent += '\n';
-            });
+        collectLists(book, numbering).forEach(list => {
+            sections.push(addEpubType(toListMarkdown(list, entry => `#${entry.id}`), list.key === 'figures' ? 'loi' : 'lot').markdown);
+        });
+        
+        for (const chapter of book.chapters) {
+            // Part divider page before the first chapter of each part
+            if (isFirstInPart(chapter, book)) {
+                sections.push(createPartDivider(chapter.part));
+                landmarks.bodymatter = landmarks.bodymatter || slugify(chapter.part.title);
+            }
             
-            combinedContent += '</div>\n\n---\n\n\\newpage\n';
+            const appendix = chapter.role === 'appendix';
+            const { markdown, id } = await renderSection(chapter, appendix ? 'appendix' : 'chapter');
+            const landmark = appendix ? 'backmatter' : 'bodymatter';
+            sections.push(markdown);
+            landmarks[landmark] = landmarks[landmark] || id;
         }
         
-        // Second pass: Combine all chapters
-        chapterContents.forEach(content => {
-            combinedContent += '\n\n' + content;
-        });
+        const notesChapter = formatEndnotes(endnotes, { format: 'pandoc' });
+        if (notesChapter) {
+            const { markdown, id } = addEpubType(processImagePaths(toPandocAdmonitions(notesChapter)), 'endnotes');
+            sections.push(markdown);
+            landmarks.backmatter = landmarks.backmatter || id;
+        }
+        
+        for (const section of book.backMatter) {
+            const { markdown, id } = await renderSection(section, MATTER_TYPES[section.file.replace(/\.md$/, '')]);
+            sections.push(markdown);
+            landmarks.backmatter = landmarks.backmatter || id;
+        }
+        
+        // Page break markers for the page-list, counted through the whole book
+        const pages = { wordsPerPage: resolvePageList(bookMetadata), words: 0, count: 0 };
+        let combinedContent = sections.map(section => addPageBreaks(section, pages)).join('\n\n');
         
         // Write combined file
-        const combinedPath = 'build/kindle/book.md';
+        const combinedPath = path.join(outDir, 'book.md');
+        combinedContent = await plugins.run('beforeWrite', combinedContent, { format: 'kindle', book, outputPath: combinedPath });
         await fs.writeFile(combinedPath, combinedContent);
         
         // Copy images
-        if (await fs.pathExists('src/images')) {
-            await fs.copy('src/images', 'build/kindle/images');
+        if (await fs.pathExists(book.imagesDir)) {
+            await copyIfChanged(book.imagesDir, path.join(outDir, 'images'));
         }
         
         // Create metadata file for Pandoc
         const pandocMetadata = createPandocMetadata(bookMetadata);
-        await fs.writeFile('build/kindle/metadata.yaml', pandocMetadata);
+        const metadataPath = path.join(outDir, 'metadata.yaml');
+        await fs.writeFile(metadataPath, pandocMetadata);
+        
+        // Skip Pandoc and Calibre when the manuscript, metadata, styles and images are unchanged
+        const cache = await openBuildCache('kindle', { ...options, sources: [__filename, ...plugins.sources] });
+        const inputHash = hashContent(
+            combinedContent,
+            pandocMetadata,
+            await hashFiles(['config/epub.css']),
+            await hashDirectory(book.imagesDir)
+        );
+        if (await restoreBuildResult(cache, outDir, inputHash, result)) {
+            console.log('♻️  EPUB inputs unchanged, reusing the previous build');
+            return completeBuildResult(result);
+        }
+        
+        // Reused builds restore their warnings, so these are only added for new builds
+        references.unresolved.forEach(({ label, file, line }) => {
+            result.warnings.push(`Unresolved reference @ref(${label}) in ${file} at line ${line}`);
+        });
         
         // Build EPUB
+        const epubPath = path.join(outDir, 'book.epub');
         console.log('📖 Generating EPUB...');
         const epubCommand = [
             'pandoc',
             '--from=markdown+smart',
             '--to=epub3',
-            '--epub-metadata=build/kindle/metadata.yaml',
-            '--epub-cover-image=src/images/cover.jpg',
+            `--metadata-file=${metadataPath}`,
+            '--toc',
+            '--toc-depth=2',
+            `--epub-cover-image=${path.join(book.imagesDir, 'cover.jpg')}`,
             '--css=config/epub.css',
             '--standalone',
-            '--resource-path=build/kindle:src',
-            '-o build/kindle/book.epub',
-            'build/kindle/book.md'
+            `--resource-path=${outDir}:${book.sourceDir}`,
+            ...plugins.pandocArgs('kindle'),
+            `-o ${epubPath}`,
+            combinedPath
         ].join(' ');
         
         try {
-            execSync(epubCommand, { stdio: 'inherit' });
-            console.log('✅ EPUB generated successfully!');
+            await runCommand(epubCommand);
         } catch (error) {
-            console.log('⚠️  EPUB generation completed with warnings (this is normal)');
+            // Pandoc prints its own errors above
+            throw new BuildError('kindle', error);
+        }
+        if (!await fs.pathExists(epubPath)) {
+            throw new BuildError('kindle', new Error(`Pandoc did not write ${epubPath}`));
         }
+        console.log('✅ EPUB generated successfully!');
+        
+        // Landmarks and page-list, which Pandoc does not write
+        const { pages: pageCount } = await finishEpub(epubPath, landmarks);
+        if (pageCount > 0) {
+            console.log(`📑 Added landmarks and a page-list of ${pageCount} page(s)`);
+        }
+        result.outputs.push(epubPath);
         
         // Try to build MOBI (requires Calibre)
         try {
             execSync('ebook-convert --version', { stdio: 'pipe' });
             console.log('📱 Generating MOBI...');
             
+            const mobiPath = path.join(outDir, 'book.mobi');
             const mobiCommand = [
                 'ebook-convert',
-                'build/kindle/book.epub',
-                'build/kindle/book.mobi',
+                epubPath,
+                mobiPath,
                 '--pretty-print'
             ].join(' ');
             
-            execSync(mobiCommand, { stdio: 'inherit' });
+            await runCommand(mobiCommand);
             console.log('✅ MOBI generated successfully!');
+            result.outputs.push(mobiPath);
             
         } catch (error) {
             console.log('ℹ️  Calibre not found. MOBI generation skipped.');
             console.log('   Install Calibre to generate MOBI files: https://calibre-ebook.com/');
+            result.warnings.push('Calibre not found, MOBI generation skipped');
         }
         
         console.log('✅ Kindle format built successfully!');
-        console.log('📁 Files created in build/kindle/ directory');
+        console.log(`📁 Files created in ${outDir}/ directory`);
+        
+        await storeBuildResult(cache, outDir, inputHash, result);
+        return completeBuildResult(result);
         
     } catch (error) {
-        console.error('❌ Error building Kindle format:', error.message);
-        process.exit(1);
+        throw error instanceof BuildError ? error : new BuildError('kindle', error);
     }
 }
 
-function createTitlePage(metadata) {
-    const authorString = getAuthorString(metadata);
-    return `---
-title: "${metadata.title}"
-subtitle: "${metadata.subtitle || ''}"
-author: "${authorString}"
-date: "${metadata.date}"
----
-
-# ${metadata.title}
+function createPartDivider(part) {
+    // Unnumbered level 1 heading so Pandoc gives the part its own page
+    return `# ${part.title} {#${slugify(part.title)} .part .unnumbered epub:type=part}
 
-${metadata.subtitle ? `## ${metadata.subtitle}` : ''}
-
-**By ${authorString}**
-
-*${metadata.date}*
-
-${metadata.description || ''}
-
----`;
+${part.description || ''}`;
 }
 
 function createPandocMetadata(metadata) {
@@ -195,14 +231,30 @@ function createPandocMetadata(metadata) {
         title: metadata.title,
         author: authors,
         date: metadata.date,
-        language: metadata.language || 'en',
+        lang: metadata.language || 'en',
         description: metadata.description,
         publisher: metadata.publisher || '',
-        rights: metadata.copyright || ''
+        rights: metadata.copyright || '',
+        identifier: [resolveIdentifier(metadata)],
+        'toc-title': 'Table of Contents'
     };
     
-    if (metadata.isbn) {
-        pandocMeta.identifier = metadata.isbn;
+    if (metadata.subtitle) {
+        pandocMeta.subtitle = metadata.subtitle;
+    }
+    
+    // Genres become dc:subject, the series an EPUB 3 collection
+    const subjects = resolveSubjects(metadata);
+    if (subjects.length > 0) {
+        pandocMeta.subject = subjects;
+    }
+    
+    const series = resolveSeries(metadata);
+    if (series) {
+        pandocMeta['belongs-to-collection'] = series.title;
+        if (series.number !== null) {
+            pandocMeta['group-position'] = series.number;
+        }
     }
     
     return yaml.stringify(pandocMeta);
@@ -219,7 +271,11 @@ function processImagePaths(content) {
 
 // Run the script
 if (require.main === module) {
-    buildKindle();
+    buildKindle({
+        includeDrafts: process.argv.includes('--include-drafts'),
+        force: process.argv.includes('--force')
+    })
+        .catch(error => handleCliError(error));
 }
 
 module.exports = buildKindle;
@@ -2,99 +2,178 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const yaml = require('yaml');
-const { generateAboutAuthors } = require('./author-utils');
+const { loadBook, isFirstInPart } = require('./manuscript');
+const { loadPlugins } = require('./plugins');
+const { createMarkuaConverter, RESOURCES_DIR } = require('./markua');
+const { BuildError, ConfigError, handleCliError } = require('./errors');
+const { createBuildResult, completeBuildResult } = require('./build-result');
 
-async function buildLeanpub() {
+const MATTER_BY_ROLE = {
+    frontmatter: 'frontmatter',
+    appendix: 'backmatter',
+    backmatter: 'backmatter'
+};
+
+// Files the build writes besides the manuscript files listed in Book.txt
+const LEANPUB_FILES = ['Book.txt', 'Sample.txt', 'subtitle.txt'];
+
+const DEFAULT_SAMPLE_CHAPTERS = 2;
+
+async function buildLeanpub(options = {}) {
     console.log('🚀 Building Leanpub format...');
+    const result = createBuildResult('leanpub');
     
     try {
         // Ensure manuscript directory exists
-        await fs.ensureDir('manuscript');
+        const outDir = options.outputDir || 'manuscript';
+        await fs.ensureDir(outDir);
+        
+        // Load book metadata and chapters
+        const book = options.book || await loadBook(options);
+        const bookMetadata = book.metadata;
+        
+        if (book.skippedDrafts.length > 0) {
+            console.log(`📝 Skipping ${book.skippedDrafts.length} draft chapter(s), use --include-drafts to build them`);
+        }
+        
+        const plugins = await loadPlugins(book, options);
+        const converter = createMarkuaConverter(book);
+        
+        // Manuscript files in reading order, each in the front, main or back matter
+        const manuscriptFiles = [];
+        const sections = [...book.frontMatter, ...book.chapters, ...book.backMatter];
         
-        // Read book metadata
-        const bookMetadata = yaml.parse(
-            await fs.readFile('src/metadata/book.yaml', 'utf8')
-        );
+        for (const chapter of sections) {
+            // Part divider before the first chapter of each part
+            if (isFirstInPart(chapter, book)) {
+                manuscriptFiles.push({
+                    file: `${chapter.part.slug}.md`,
+                    matter: getMatter(chapter.role),
+                    content: createPartDivider(chapter.part)
+                });
+            }
+            
+            // Chapters are converted to Markua, without their front matter
+            const context = { format: 'leanpub', book, chapter };
+            const body = await plugins.run('beforeParse', chapter.body, context);
+            manuscriptFiles.push({
+                file: chapter.file,
+                matter: getMatter(chapter.role),
+                content: await plugins.run('afterRender', converter.convert({ ...chapter, body }), context),
+                chapter
+            });
+        }
         
-        // Get all chapter files
-        const chaptersDir = 'src/chapters';
-        const chapterFiles = await fs.readdir(chaptersDir);
-        const markdownFiles = chapterFiles
-            .filter(file => file.endsWith('.md'))
-            .sort();
+        result.warnings.push(...converter.warnings);
         
-        // Create Book.txt (defines chapter order for Leanpub)
-        const bookTxt = markdownFiles.join('\n');
-        await fs.writeFile('manuscript/Book.txt', bookTxt);
+        // Create Book.txt (defines file order for Leanpub)
+        const bookTxt = manuscriptFiles.map(({ file }) => file).join('\n');
+        await fs.writeFile(path.join(outDir, 'Book.txt'), bookTxt);
+        result.outputs.push(path.join(outDir, 'Book.txt'));
         
-        // Create Sample.txt (sample chapters for preview)
-        const sampleChapters = markdownFiles.slice(0, 2); // First 2 chapters
-        const sampleTxt = sampleChapters.join('\n');
-        await fs.writeFile('manuscript/Sample.txt', sampleTxt);
+        // Create Sample.txt
+        const sampleTxt = selectSampleFiles(book).join('\n');
+        await fs.writeFile(path.join(outDir, 'Sample.txt'), sampleTxt);
+        result.outputs.push(path.join(outDir, 'Sample.txt'));
         
-        // Copy all markdown files to manuscript directory
-        for (const file of markdownFiles) {
-            const sourcePath = path.join(chaptersDir, file);
-            const destPath = path.join('manuscript', file);
-            await fs.copy(sourcePath, destPath);
+        // Write the files, opening each matter with its Markua marker
+        let currentMatter = null;
+        for (const { file, matter, content, chapter } of manuscriptFiles) {
+            const destPath = path.join(outDir, file);
+            const marker = matter !== currentMatter ? `{${matter}}\n\n` : '';
+            currentMatter = matter;
+            
+            const context = { format: 'leanpub', book, chapter, outputPath: destPath };
+            await fs.writeFile(destPath, await plugins.run('beforeWrite', marker + content, context));
+            if (chapter) {
+                result.outputs.push(destPath);
+            }
         }
         
-        // Copy images directory if it exists
-        if (await fs.pathExists('src/images')) {
-            await fs.copy('src/images', 'manuscript/images');
+        // Remove files of earlier builds, such as deleted chapters, so Leanpub never sees them
+        await pruneManuscript(outDir, [...manuscriptFiles.map(({ file }) => file), ...LEANPUB_FILES]);
+        
+        // Copy images into Leanpub's resources directory
+        if (await fs.pathExists(book.imagesDir)) {
+            await fs.copy(book.imagesDir, path.join(outDir, RESOURCES_DIR, 'images'));
         }
         
         // Create Leanpub-specific files
-        await createLeanpubFiles(bookMetadata);
+        await createLeanpubFiles(bookMetadata, outDir);
         
         console.log('✅ Leanpub format built successfully!');
-        console.log('📁 Files created in manuscript/ directory');
+        console.log(`📁 Files created in ${outDir}/ directory`);
+        
+        return completeBuildResult(result);
         
     } catch (error) {
-        console.error('❌ Error building Leanpub format:', error.message);
-        process.exit(1);
+        throw new BuildError('leanpub', error);
     }
 }
 
-async function createLeanpubFiles(metadata) {
-    // Create subtitle.txt if subtitle exists
-    if (metadata.subtitle) {
-        await fs.writeFile('manuscript/subtitle.txt', metadata.subtitle);
-    }
-    
-    // Create dedication.txt template
-    const dedication = `{frontmatter}
+function createPartDivider(part) {
+    // Markua marks a part with the part class on a chapter-level heading
+    return `{class: part}
+# ${part.title}
 
-# Dedication
+${part.description || ''}`;
+}
 
-This book is dedicated to...
+function getMatter(role) {
+    // Front and back matter sections and appendices; every other chapter is main matter
+    return MATTER_BY_ROLE[role] || 'mainmatter';
+}
 
-{mainmatter}`;
-    await fs.writeFile('manuscript/dedication.txt', dedication);
+function selectSampleFiles(book) {
+    // 1. `leanpub.sample` in book.yaml: a list of files, or the number of chapters to include
+    const sample = book.metadata.leanpub?.sample;
+    const sections = [...book.frontMatter, ...book.chapters, ...book.backMatter];
     
-    // Create about-author.txt template with support for multiple authors
-    const aboutAuthor = `{backmatter}
-
-${generateAboutAuthors(metadata)}`;
-    await fs.writeFile('manuscript/about-author.txt', aboutAuthor);
+    if (typeof sample === 'number') {
+        return book.chapters.slice(0, sample).map(chapter => chapter.file);
+    }
     
-    // Update Book.txt to include front and back matter
-    const currentBookTxt = await fs.readFile('manuscript/Book.txt', 'utf8');
-    const chaptersArray = currentBookTxt.split('\n').filter(line => line.trim());
+    if (Array.isArray(sample)) {
+        const files = sample.map(entry => (String(entry).endsWith('.md') ? String(entry) : `${entry}.md`));
+        const missing = files.filter(file => !sections.some(section => section.file === file));
+        if (missing.length > 0) {
+            throw new ConfigError(`Sample file listed in leanpub.sample not found: ${missing.join(', ')}`);
+        }
+        return sections.filter(section => files.includes(section.file)).map(section => section.file);
+    }
     
-    const fullBookTxt = [
-        'dedication.txt',
-        ...chaptersArray,
-        'about-author.txt'
-    ].join('\n');
+    // 2. Chapters and front or back matter marked `sample: true`
+    const marked = sections.filter(section => section.sample);
+    if (marked.length > 0) {
+        return marked.map(section => section.file);
+    }
     
-    await fs.writeFile('manuscript/Book.txt', fullBookTxt);
+    // 3. The first two chapters
+    return book.chapters.slice(0, DEFAULT_SAMPLE_CHAPTERS).map(chapter => chapter.file);
+}
+
+async function pruneManuscript(outDir, keep) {
+    for (const file of await fs.readdir(outDir)) {
+        if (/\.(md|txt)$/.test(file) && !keep.includes(file)) {
+            await fs.remove(path.join(outDir, file));
+        }
+    }
+}
+
+async function createLeanpubFiles(metadata, outDir) {
+    // Create subtitle.txt if subtitle exists
+    const subtitlePath = path.join(outDir, 'subtitle.txt');
+    if (metadata.subtitle) {
+        await fs.writeFile(subtitlePath, metadata.subtitle);
+    } else {
+        await fs.remove(subtitlePath);
+    }
 }
 
 // Run the script
 if (require.main === module) {
-    buildLeanpub();
+    buildLeanpub({ includeDrafts: process.argv.includes('--include-drafts') })
+        .catch(error => handleCliError(error));
 }
 
 module.exports = buildLeanpub;
@@ -2,84 +2,95 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const yaml = require('yaml');
 const { execSync } = require('child_process');
+const { runCommand } = require('./run-command');
 const { getAuthorString, getAuthorArray } = require('./author-utils');
-
-async function buildPDF() {
+const { loadBook, isFirstInPart, toPandocMarkdown } = require('./manuscript');
+const { loadPlugins } = require('./plugins');
+const { toPandocAdmonitions } = require('./admonitions');
+const { buildReferenceIndex, resolveReferences, linkWithinDocument, toPandocLabels } = require('./cross-references');
+const { createNumbering, numberMarkdown } = require('./numbering');
+const { collectLists, toListMarkdown } = require('./lists');
+const { resolveNotes, placeFootnotes, formatEndnotes } = require('./footnotes');
+const { BuildError, DependencyError, handleCliError } = require('./errors');
+const { createBuildResult, completeBuildResult } = require('./build-result');
+const {
+    hashContent,
+    hashFiles,
+    hashDirectory,
+    copyIfChanged,
+    openBuildCache,
+    restoreBuildResult,
+    storeBuildResult
+} = require('./build-cache');
+
+const PRINT_PREVIEW_CSS = 'config/print-preview.css';
+
+async function buildPDF(options = {}) {
     console.log('📄 Building PDF format...');
+    const result = createBuildResult('pdf');
     
     try {
         // Check if pandoc is installed
-        try {
-            execSync('pandoc --version', { stdio: 'ignore' });
-        } catch (error) {
-            console.error('❌ Pandoc is not installed. Please install Pandoc first:');
-            console.error('   macOS: brew install pandoc');
-            console.error('   Ubuntu: sudo apt-get install pandoc');
-            console.error('   Windows: Download from https://pandoc.org/installing.html');
-            process.exit(1);
-        }
-
+        checkPandoc();
+        
         // Ensure output directory exists
-        await fs.ensureDir('dist');
+        const outDir = options.outputDir || 'dist';
+        await fs.ensureDir(outDir);
         
-        // Read book metadata
-        const bookMetadata = yaml.parse(
-            await fs.readFile('src/metadata/book.yaml', 'utf8')
-        );
+        // Load book metadata and chapters
+        const book = options.book || await loadBook(options);
+        const bookMetadata = book.metadata;
+        
+        if (book.skippedDrafts.length > 0) {
+            console.log(`📝 Skipping ${book.skippedDrafts.length} draft chapter(s), use --include-drafts to build them`);
+        }
         
-        // Get all chapter files
-        const chaptersDir = 'src/chapters';
-        const chapterFiles = await fs.readdir(chaptersDir);
-        const markdownFiles = chapterFiles
-            .filter(file => file.endsWith('.md'))
-            .sort();
+        const plugins = await loadPlugins(book, options);
+        
+        // Cross-references become links to anchors inside the PDF
+        const references = buildReferenceIndex(book);
         
         // Create a temporary combined markdown file
         const tempDir = 'temp';
         await fs.ensureDir(tempDir);
         
         // Copy images to temp directory for pandoc
-        if (await fs.pathExists('src/images')) {
-            await fs.copy('src/images', path.join(tempDir, 'images'));
+        if (await fs.pathExists(book.imagesDir)) {
+            await fs.copy(book.imagesDir, path.join(tempDir, 'images'));
             console.log('📷 Images copied to temp directory');
         }
         
         // Combine all chapters into one file
-        let combinedContent = '';
-        
-        // Add title page
-        combinedContent += createTitlePage(bookMetadata);
-        
-        // Add table of contents
-        combinedContent += '\n\\newpage\n\\tableofcontents\n\\newpage\n\n';
-        
-        // Process each chapter
-        for (const file of markdownFiles) {
-            const filePath = path.join(chaptersDir, file);
-            let content = await fs.readFile(filePath, 'utf8');
-            
-            // Process image paths to work with temp directory structure
-            content = processImagePaths(content);
-            
-            // Add page break before each new chapter (except the first)
-            if (combinedContent.includes('# ')) {
-                combinedContent += '\n\\newpage\n\n';
-            }
-            
-            combinedContent += content + '\n\n';
-        }
+        const combinedFilePath = path.join(tempDir, 'combined.md');
+        const combinedContent = await plugins.run('beforeWrite', await combineChapters(book, plugins, references), {
+            format: 'pdf',
+            book,
+            outputPath: combinedFilePath
+        });
         
         // Write combined file
-        const combinedFilePath = path.join(tempDir, 'combined.md');
         await fs.writeFile(combinedFilePath, combinedContent);
         
         // Create LaTeX template for better formatting (if using LaTeX engine)
         // await createLatexTemplate(bookMetadata);
         
+        // Skip Pandoc when the combined manuscript and images are unchanged
+        const cache = await openBuildCache('pdf', { ...options, sources: [__filename, ...plugins.sources] });
+        const inputHash = hashContent(combinedContent, await hashDirectory(book.imagesDir));
+        if (await restoreBuildResult(cache, outDir, inputHash, result)) {
+            await fs.remove(tempDir);
+            console.log('♻️  PDF inputs unchanged, reusing the previous build');
+            return completeBuildResult(result);
+        }
+        
+        // Reused builds restore their warnings, so these are only added for new builds
+        references.unresolved.forEach(({ label, file, line }) => {
+            result.warnings.push(`Unresolved reference @ref(${label}) in ${file} at line ${line}`);
+        });
+        
         // Build PDF using Pandoc - try different engines
-        const outputPath = `dist/book.pdf`;
+        const outputPath = path.join(outDir, 'book.pdf');
         
         console.log('🔄 Converting to PDF...');
         console.log('⏳ This may take a moment...');
@@ -102,19 +113,19 @@ async function buildPDF() {
                         '--standalone',
                         '--toc',
                         '--toc-depth=2',
-                        '--number-sections',
                         '--highlight-style=tango',
                         '--css=../config/pdf-style.css',
-                        '--resource-path=temp:src'
+                        `--resource-path=${tempDir}:${book.sourceDir}`,
+                        ...plugins.pandocArgs('pdf')
                     ].join(' ');
                     
-                    execSync(htmlCommand, { stdio: 'inherit' });
+                    await runCommand(htmlCommand);
                     
                     // Create CSS for PDF
                     await createPDFCSS();
                     
                     // Convert HTML to PDF
-                    execSync(`weasyprint ${htmlPath} ${outputPath}`, { stdio: 'inherit' });
+                    await runCommand(`weasyprint ${htmlPath} ${outputPath}`);
                     success = true;
                     break;
                     
@@ -128,13 +139,13 @@ async function buildPDF() {
                         '--standalone',
                         '--toc',
                         '--toc-depth=2',
-                        '--number-sections',
                         '--highlight-style=tango',
                         '--css=config/pdf-style.css',
-                        '--resource-path=temp:src'
+                        `--resource-path=${tempDir}:${book.sourceDir}`,
+                        ...plugins.pandocArgs('pdf')
                     ].join(' ');
                     
-                    execSync(htmlCommand, { stdio: 'inherit' });
+                    await runCommand(htmlCommand);
                     
                     // Check if Puppeteer is available
                     try {
@@ -168,7 +179,7 @@ async function buildPDF() {
                     `;
                     
                     require('fs').writeFileSync('temp/puppeteer-pdf.js', puppeteerScript);
-                    execSync('node temp/puppeteer-pdf.js', { stdio: 'inherit' });
+                    await runCommand('node temp/puppeteer-pdf.js');
                     require('fs').unlinkSync('temp/puppeteer-pdf.js');
                     
                     success = true;
@@ -183,15 +194,15 @@ async function buildPDF() {
                         `--pdf-engine=${engine}`,
                         '--toc',
                         '--toc-depth=2',
-                        '--number-sections',
                         '--highlight-style=tango',
                         '--variable=geometry:margin=1in',
                         '--variable=fontsize:11pt',
                         '--variable=linestretch:1.2',
-                        '--resource-path=temp:src'
+                        `--resource-path=${tempDir}:${book.sourceDir}`,
+                        ...plugins.pandocArgs('pdf')
                     ].join(' ');
                     
-                    execSync(pandocCommand, { stdio: 'inherit' });
+                    await runCommand(pandocCommand);
                     success = true;
                     break;
                 }
@@ -205,15 +216,15 @@ async function buildPDF() {
         if (!success) {
             // Fallback: Create HTML version and inform user
             console.log('⚠️  No PDF engine found. Creating HTML version instead...');
-            const htmlPath = `dist/${bookMetadata.title.replace(/\s+/g, '-').toLowerCase()}.html`;
+            const htmlPath = path.join(outDir, `${bookMetadata.title.replace(/\s+/g, '-').toLowerCase()}.html`);
             
             // Create and copy CSS file to dist directory
             await createPDFCSS();
-            await fs.copy('config/pdf-style.css', 'dist/pdf-style.css');
+            await fs.copy('config/pdf-style.css', path.join(outDir, 'pdf-style.css'));
             
             // Copy images to dist directory as well
-            if (await fs.pathExists('src/images')) {
-                await fs.copy('src/images', 'dist/images');
+            if (await fs.pathExists(book.imagesDir)) {
+                await fs.copy(book.imagesDir, path.join(outDir, 'images'));
             }
             
             const htmlCommand = [
@@ -223,14 +234,14 @@ async function buildPDF() {
                 '--standalone',
                 '--toc',
                 '--toc-depth=2',
-                '--number-sections',
                 '--highlight-style=tango',
                 '--css=pdf-style.css',
-                '--resource-path=temp:src'
+                `--resource-path=${tempDir}:${book.sourceDir}`,
+                ...plugins.pandocArgs('pdf')
             ].join(' ');
             
             await createPDFCSS();
-            execSync(htmlCommand, { stdio: 'inherit' });
+            await runCommand(htmlCommand);
             
             console.log('✅ HTML version created successfully!');
             console.log(`📄 HTML file created: ${htmlPath}`);
@@ -241,7 +252,10 @@ async function buildPDF() {
             console.log('   Or open the HTML file in a browser and print to PDF');
             console.log('   Note: wkhtmltopdf has been discontinued on macOS Homebrew');
             
-            return;
+            result.outputs.push(htmlPath);
+            result.warnings.push('No PDF engine found, created an HTML version instead');
+            // Not cached, so the next build tries the PDF engines again
+            return completeBuildResult(result);
         }
         
         // Clean up temporary files
@@ -249,38 +263,42 @@ async function buildPDF() {
         
         console.log('✅ PDF format built successfully!');
         console.log(`📄 PDF created: ${outputPath}`);
+        result.outputs.push(outputPath);
         
         // Display file info
         const stats = await fs.stat(outputPath);
         const fileSizeInKB = Math.round(stats.size / 1024);
         console.log(`📊 File size: ${fileSizeInKB} KB`);
-
+        
         // Creating book with cover and back cover using pdfjam if available
         try {
             execSync('pdfjam --version', { stdio: 'ignore' });
             console.log('🔧 Adding cover and back cover using pdfjam...');
         } catch (error) {
             console.log('⚠️  pdfjam not installed. Skipping cover addition.');
-            return;
+            result.warnings.push('pdfjam not installed, cover and back cover not added');
+            // Not cached, so the next build adds the covers once pdfjam is installed
+            return completeBuildResult(result);
         }
-
-        const coverPath = 'src/images/cover.pdf';
-        const backCoverPath = 'src/images/back.pdf';
-        const finalOutputPath = `dist/book-with-cover.pdf`;
+        
+        const coverPath = path.join(book.imagesDir, 'cover.pdf');
+        const backCoverPath = path.join(book.imagesDir, 'back.pdf');
+        const finalOutputPath = path.join(outDir, 'book-with-cover.pdf');
         let pdfjamCommand = `pdfjam --outfile "${finalOutputPath}" -- "${outputPath}"`;
-
+        
         if (await fs.pathExists(coverPath)) {
             pdfjamCommand = `pdfjam --outfile "${finalOutputPath}" -- "${coverPath}" "${outputPath}"`;
         }
-
+        
         if (await fs.pathExists(backCoverPath)) {
             pdfjamCommand += ` "${backCoverPath}"`;
         }
-
+        
         if (await fs.pathExists(coverPath) || await fs.pathExists(backCoverPath)) {
-            execSync(pdfjamCommand, { stdio: 'inherit' });
+            await runCommand(pdfjamCommand);
             console.log('✅ Final PDF with cover created successfully!');
             console.log(`📄 Final PDF created: ${finalOutputPath}`);
+            result.outputs.push(finalOutputPath);
             
             // Display final file info
             const finalStats = await fs.stat(finalOutputPath);
@@ -289,18 +307,146 @@ async function buildPDF() {
         } else {
             console.log('ℹ️  No cover or back cover found. Skipping pdfjam step.');
         }
-    } catch (error) {
-        console.error('❌ Error building PDF format:', error.message);
         
+        await storeBuildResult(cache, outDir, inputHash, result);
+        return completeBuildResult(result);
+    } catch (error) {
         // Clean up on error
         if (await fs.pathExists('temp')) {
             await fs.remove('temp');
         }
         
-        process.exit(1);
+        throw new BuildError('pdf', error);
     }
 }
 
+function checkPandoc() {
+    try {
+        execSync('pandoc --version', { stdio: 'ignore' });
+    } catch (error) {
+        throw new DependencyError('Pandoc is not installed', {
+            hint: [
+                'Please install Pandoc first:',
+                '   macOS: brew install pandoc',
+                '   Ubuntu: sudo apt-get install pandoc',
+                '   Windows: Download from https://pandoc.org/installing.html'
+            ].join('\n')
+        });
+    }
+}
+
+async function combineChapters(book, plugins, references) {
+    let combinedContent = '';
+    const linkTo = linkWithinDocument(book.chapters);
+    // Anchors are only unique within a chapter, so repeats in the combined book get a suffix that keeps clear of the labels
+    const headingIds = new Set(references.targets.keys());
+    const numbering = createNumbering(book);
+    const notes = resolveNotes(book.metadata);
+    const endnotes = [];
+    
+    // Add title page
+    combinedContent += createTitlePage(book.metadata);
+    
+    // Add table of contents
+    combinedContent += '\n\\newpage\n\\tableofcontents\n\\newpage\n\n';
+    
+    // Add the lists of figures and tables the book asks for
+    combinedContent += collectLists(book, numbering)
+        .map(list => toListMarkdown(list, entry => `#${entry.id}`))
+        .join('\n\\newpage\n\n');
+    
+    // Process each chapter
+    for (const chapter of book.chapters) {
+        // Add part divider page before the first chapter of each part
+        if (isFirstInPart(chapter, book)) {
+            combinedContent += '\n\\newpage\n\n' + createPartDivider(chapter.part) + '\n\n';
+        }
+        
+        // Process image paths to work with temp directory structure
+        const context = { format: 'pdf', book, chapter };
+        const resolved = resolveReferences(await plugins.run('beforeParse', chapter.body, context), references, linkTo);
+        const id = chapter.file.replace(/\.md$/, '');
+        const { markdown: body, notes: chapterNotes } = placeFootnotes(resolved, { id, format: 'pandoc', style: notes });
+        endnotes.push({ title: chapter.title, id, notes: chapterNotes });
+        const markdown = toPandocMarkdown({ ...chapter, body });
+        const numbered = numberMarkdown(markdown, numbering.number(markdown, chapter.file), 'pandoc', headingIds);
+        const content = await plugins.run('afterRender', processImagePaths(toPandocLabels(toPandocAdmonitions(numbered))), context);
+        
+        // Add page break before each new chapter (except the first)
+        if (combinedContent.includes('# ')) {
+            combinedContent += '\n\\newpage\n\n';
+        }
+        
+        combinedContent += content + '\n\n';
+    }
+    
+    // Endnotes close the book
+    const notesSection = formatEndnotes(endnotes, { format: 'pandoc' });
+    if (notesSection) {
+        combinedContent += '\n\\newpage\n\n' + processImagePaths(toPandocAdmonitions(notesSection)) + '\n\n';
+    }
+    
+    return combinedContent;
+}
+
+/**
+ * Build an HTML print preview with the same combined manuscript and styles as the PDF
+ * Used by the dev server; skips Pandoc when the inputs are unchanged
+ * @param {Object} options - Build options
+ * @param {string} options.outputDir - Directory for the preview
+ * @returns {Promise<string>} Path of the preview page
+ */
+async function buildPrintPreview(options) {
+    checkPandoc();
+    
+    const outDir = options.outputDir;
+    const book = options.book || await loadBook(options);
+    const plugins = await loadPlugins(book, options);
+    const combinedFilePath = path.join(outDir, 'combined.md');
+    const combinedContent = await plugins.run('beforeWrite', await combineChapters(book, plugins, buildReferenceIndex(book)), {
+        format: 'pdf',
+        book,
+        outputPath: combinedFilePath
+    });
+    const htmlPath = path.join(outDir, 'index.html');
+    
+    const cache = await openBuildCache('pdf-preview', { ...options, sources: [__filename, ...plugins.sources] });
+    const inputHash = hashContent(combinedContent, await hashDirectory(book.imagesDir), await hashFiles([PRINT_PREVIEW_CSS]));
+    if (await cache.lookup(htmlPath, inputHash)) {
+        return htmlPath;
+    }
+    
+    await fs.ensureDir(outDir);
+    await fs.writeFile(combinedFilePath, combinedContent);
+    
+    // Same stylesheet as the PDF, plus page outlines for the screen
+    await createPDFCSS();
+    await fs.copy('config/pdf-style.css', path.join(outDir, 'pdf-style.css'));
+    await fs.copy(PRINT_PREVIEW_CSS, path.join(outDir, 'print-preview.css'));
+    if (await fs.pathExists(book.imagesDir)) {
+        await copyIfChanged(book.imagesDir, path.join(outDir, 'images'));
+    }
+    
+    await runCommand([
+        'pandoc',
+        combinedFilePath,
+        '-o', htmlPath,
+        '--standalone',
+        '--toc',
+        '--toc-depth=2',
+        '--highlight-style=tango',
+        '--css=pdf-style.css',
+        '--css=print-preview.css',
+        `--resource-path=${outDir}:${book.sourceDir}`,
+        ...plugins.pandocArgs('pdf')
+    ].join(' '));
+    
+    cache.store(htmlPath, inputHash);
+    await cache.save();
+    
+    return htmlPath;
+}
+
 async function createPDFCSS() {
     const css = `
 @page {
@@ -388,6 +534,81 @@ blockquote {
     color: #555;
 }
 
+.admonition {
+    margin: 1em 0;
+    padding: 0.6em 1em;
+    border-left: 4px solid #3498db;
+    background-color: #eef6fc;
+    page-break-inside: avoid;
+}
+
+.admonition-tip {
+    border-left-color: #27ae60;
+    background-color: #eefaf2;
+}
+
+.admonition-warning {
+    border-left-color: #e67e22;
+    background-color: #fdf3e9;
+}
+
+.admonition-danger {
+    border-left-color: #c0392b;
+    background-color: #fbecea;
+}
+
+.admonition-title {
+    font-family: 'Arial', 'Helvetica', sans-serif;
+    font-weight: bold;
+    margin-bottom: 0.3em;
+}
+
+.admonition > :last-child {
+    margin-bottom: 0;
+}
+
+/* Section numbers, figure, table and listing captions */
+.section-number {
+    margin-right: 0.5em;
+}
+
+caption,
+.listing-caption p {
+    font-family: 'Arial', 'Helvetica', sans-serif;
+    font-size: 0.9em;
+    font-weight: bold;
+    margin: 0.5em 0;
+}
+
+figure {
+    margin: 1.5em 0;
+    text-align: center;
+    page-break-inside: avoid;
+}
+
+figcaption {
+    font-family: 'Arial', 'Helvetica', sans-serif;
+    font-size: 0.9em;
+    margin-top: 0.5em;
+}
+
+/* Footnotes at the end of each chapter, endnotes at the end of the book */
+.footnotes,
+.endnotes {
+    margin-top: 2em;
+    border-top: 1px solid #ccc;
+    font-size: 0.9em;
+}
+
+.footnote-back {
+    text-decoration: none;
+    font-weight: bold;
+}
+
+.footnote-back::after {
+    content: ".";
+}
+
 ul, ol {
     margin: 1em 0;
     padding-left: 2em;
@@ -454,6 +675,28 @@ a:hover {
     color: #3498db;
 }
 
+/* Chapter subtitles from front matter */
+.chapter-subtitle p {
+    text-align: center;
+    font-style: italic;
+    font-size: 13pt;
+    color: #34495e;
+    margin-bottom: 2em;
+}
+
+/* Part divider pages */
+h1.part {
+    font-size: 30pt;
+    margin-top: 35%;
+    border: none;
+}
+
+h1.part + p {
+    text-align: center;
+    font-style: italic;
+    page-break-after: always;
+}
+
 /* Print-specific styles */
 @media print {
     body {
@@ -498,7 +741,11 @@ a:hover {
 }
 `;
 
-    await fs.writeFile('config/pdf-style.css', css);
+    // Leave the file untouched when unchanged so the dev server does not rebuild
+    const cssPath = 'config/pdf-style.css';
+    if (!await fs.pathExists(cssPath) || await fs.readFile(cssPath, 'utf8') !== css) {
+        await fs.writeFile(cssPath, css);
+    }
 }
 
 function createTitlePage(metadata) {
@@ -657,6 +904,13 @@ $body$
     await fs.writeFile('temp/template.latex', template);
 }
 
+function createPartDivider(part) {
+    // Unnumbered, like any heading the numbering leaves out
+    return `# ${part.title} {.part .unnumbered}
+
+${part.description || ''}`;
+}
+
 function processImagePaths(content) {
     // Convert relative image paths to work with the temp directory structure
     // This handles paths like: ![alt](../images/image.jpg) or ![alt](images/image.jpg)
@@ -668,7 +922,12 @@ function processImagePaths(content) {
 
 // Run the script
 if (require.main === module) {
-    buildPDF();
+    buildPDF({
+        includeDrafts: process.argv.includes('--include-drafts'),
+        force: process.argv.includes('--force')
+    })
+        .catch(error => handleCliError(error));
 }
 
 module.exports = buildPDF;
+module.exports.buildPrintPreview = buildPrintPreview;
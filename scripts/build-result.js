@@ -0,0 +1,36 @@
+/**
+ * Build result helpers shared by every builder
+ * Each builder returns the outputs it wrote, those it reused from the build
+ * cache, its warnings and its timing
+ */
+
+/**
+ * Start a build result for a format
+ * @param {string} format - Format name
+ * @returns {Object} Build result
+ */
+function createBuildResult(format) {
+    return {
+        format,
+        outputs: [],
+        cached: [],
+        warnings: [],
+        startedAt: Date.now(),
+        durationMs: 0
+    };
+}
+
+/**
+ * Record the duration of a finished build
+ * @param {Object} result - Build result
+ * @returns {Object} The same build result
+ */
+function completeBuildResult(result) {
+    result.durationMs = Date.now() - result.startedAt;
+    return result;
+}
+
+module.exports = {
+    createBuildResult,
+    completeBuildResult
+};
@@ -2,13 +2,29 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const yaml = require('yaml');
 const MarkdownIt = require('markdown-it');
 const markdownItAnchor = require('markdown-it-anchor');
 const markdownItTOC = require('markdown-it-table-of-contents');
 const markdownItPrism = require('markdown-it-prism');
 const Handlebars = require('handlebars');
-const { getAuthorString } = require('./author-utils');
+const { getAuthorString, getAuthorObjects } = require('./author-utils');
+const { loadBook, slugify } = require('./manuscript');
+const { loadPlugins } = require('./plugins');
+const { markdownItAdmonitions } = require('./admonitions');
+const { buildReferenceIndex, resolveReferences, markdownItLabels } = require('./cross-references');
+const { createNumbering, numberMarkdown } = require('./numbering');
+const { collectLists, toListMarkdown } = require('./lists');
+const { resolveNotes, parseFootnotes, extractFootnotes, placeFootnotes, formatEndnotes } = require('./footnotes');
+const { buildSearchIndex } = require('./search-index');
+const { combinePages } = require('./book-page');
+const { resolveTheme } = require('./themes');
+const { MANIFEST_FILE, SERVICE_WORKER_FILE, resolveOffline, createManifest, createServiceWorker, createRetiredServiceWorker } = require('./offline');
+const { BookError, BuildError, handleCliError } = require('./errors');
+const { createBuildResult, completeBuildResult } = require('./build-result');
+const { hashContent, hashFiles, hashDirectory, copyIfChanged, openBuildCache } = require('./build-cache');
+
+const TEMPLATE_DIR = 'config/templates';
+const BOOK_PAGE_CSS = 'config/book-page.css';
 
 function registerHandlebarsHelpers() {
     // Helper for equality comparison
@@ -32,22 +48,35 @@ function registerHandlebarsHelpers() {
     });
 }
 
-async function buildWeb() {
+async function buildWeb(options = {}) {
     console.log('🌐 Building web format...');
+    const result = createBuildResult('web');
     
     try {
         // Ensure docs directory exists (GitHub Pages)
-        await fs.ensureDir('docs');
-        await fs.ensureDir('docs/chapters');
-        await fs.ensureDir('docs/assets');
+        const outDir = options.outputDir || 'docs';
+        await fs.ensureDir(outDir);
+        await fs.ensureDir(path.join(outDir, 'chapters'));
+        await fs.ensureDir(path.join(outDir, 'assets'));
         
-        // Read book metadata
-        const bookMetadata = yaml.parse(
-            await fs.readFile('src/metadata/book.yaml', 'utf8')
-        );
+        // Load book metadata and chapters
+        const book = options.book || await loadBook(options);
+        const bookMetadata = book.metadata;
+        
+        if (book.skippedDrafts.length > 0) {
+            console.log(`📝 Skipping ${book.skippedDrafts.length} draft chapter(s), use --include-drafts to build them`);
+        }
+        
+        const plugins = await loadPlugins(book, options);
+        
+        // Chapter, section, table and listing numbers, and the labels @ref() cross-references point to
+        const numbering = createNumbering(book);
+        const references = buildReferenceIndex(book);
+        references.unresolved.forEach(({ label, file, line }) => {
+            result.warnings.push(`Unresolved reference @ref(${label}) in ${file} at line ${line}`);
+        });
         
         // Process authors for display
-        const { getAuthorObjects } = require('./author-utils');
         bookMetadata.author = getAuthorString(bookMetadata);
         bookMetadata.authorObjects = getAuthorObjects(bookMetadata);
         
@@ -59,6 +88,7 @@ async function buildWeb() {
         });
         
         md.use(markdownItAnchor, {
+            slugify,
             permalink: markdownItAnchor.permalink.headerLink()
         });
         
@@ -72,105 +102,387 @@ async function buildWeb() {
             defaultLanguageForUnspecified: 'js'
         });
         
-        // Register Handlebars helpers
+        // Note, tip, warning and danger callouts
+        md.use(markdownItAdmonitions);
+        
+        // {#label} ids on headings and table captions
+        md.use(markdownItLabels);
+        
+        // Add markdown-it plugins from book plugins
+        plugins.configureMarkdown(md, 'web');
+        
+        // Register Handlebars helpers, including those from book plugins
         registerHandlebarsHelpers();
+        plugins.registerHelpers(Handlebars);
+        
+        // Load templates, with the overrides of the theme named by web.theme
+        const theme = resolveTheme(bookMetadata);
+        const templates = await loadTemplates(theme);
+        
+        // Process chapters (Markdown is rendered later, only for pages that changed)
+        const chapters = book.chapters.map((chapter, index) => processChapter(chapter, index, numbering));
         
-        // Load templates
-        const templates = await loadTemplates();
-        
-        // Get all chapter files
-        const chaptersDir = 'src/chapters';
-        const chapterFiles = await fs.readdir(chaptersDir);
-        const markdownFiles = chapterFiles
-            .filter(file => file.endsWith('.md'))
-            .sort();
-        
-        // Process chapters
-        const chapters = [];
-        for (const file of markdownFiles) {
-            const chapter = await processChapter(file, md, templates, bookMetadata);
-            chapters.push(chapter);
+        // Resolve parts, navigation groups and reading order
+        const parts = book.parts
+            .filter(part => part.chapters.length > 0)
+            .map(part => createPartPage(part, chapters));
+        const site = {
+            outDir,
+            book,
+            plugins,
+            numbering,
+            references,
+            chapters,
+            parts,
+            chapterGroups: groupChapters(chapters, parts),
+            pages: createReadingOrder(chapters, parts),
+            lists: collectLists(book, numbering).map(list => ({ ...list, filename: `${list.slug}.html` })),
+            notes: resolveNotes(bookMetadata),
+            notesPage: null,
+            theme,
+            // Offline reading can be turned off for a build, as the dev server does
+            offline: options.offline === false ? null : resolveOffline(bookMetadata)
+        };
+        
+        // Endnotes are collected on a Notes page, when the book has notes
+        if (site.notes === 'endnotes' && book.chapters.some(chapter => parseFootnotes(chapter.body).references.length > 0)) {
+            site.notesPage = { title: 'Notes', slug: 'notes', filename: 'notes.html' };
+        }
+        
+        // Every page depends on the metadata, the templates and the navigation;
+        // each page also depends on its own source
+        const cache = await openBuildCache('web', { ...options, sources: [__filename, ...plugins.sources] });
+        const templateFiles = [];
+        for (const dir of [TEMPLATE_DIR, theme.templatesDir].filter(Boolean)) {
+            templateFiles.push(...(await fs.readdir(dir)).sort().map(file => path.join(dir, file)));
         }
+        const siteHash = hashContent(
+            bookMetadata,
+            theme,
+            site.offline,
+            await hashFiles(templateFiles),
+            describeNavigation(site),
+            describeReferences(site),
+            site.lists.map(list => list.filename),
+            site.notesPage
+        );
         
-        // Generate index page
-        await generateIndexPage(chapters, templates, bookMetadata);
+        const pages = [
+            {
+                outputPath: getPagePath(site),
+                hash: siteHash,
+                generate: () => generateIndexPage(site, templates, bookMetadata)
+            },
+            ...parts.map(part => ({
+                outputPath: getPagePath(site, part),
+                hash: hashContent(siteHash, { ...part, chapters: part.chapters.map(chapter => chapter.filename) }),
+                generate: () => generatePartPage(part, site, templates, bookMetadata)
+            })),
+            ...chapters.map((chapter, index) => ({
+                outputPath: getPagePath(site, chapter),
+                hash: hashContent(siteHash, chapter),
+                generate: async () => {
+                    await renderChapter(chapter, book.chapters[index], md, site);
+                    return generateChapterPage(chapter, site, templates, bookMetadata);
+                }
+            })),
+            ...site.lists.map(list => ({
+                outputPath: getPagePath(site, list),
+                hash: hashContent(siteHash, list.entries),
+                generate: () => generateListPage(list, md, site, templates, bookMetadata)
+            })),
+            ...(site.notesPage ? [{
+                outputPath: getPagePath(site, site.notesPage),
+                hash: hashContent(siteHash, chapters),
+                generate: () => generateNotesPage(site.notesPage, md, site, templates, bookMetadata)
+            }] : []),
+            {
+                outputPath: path.join(outDir, 'search-index.json'),
+                hash: hashContent(siteHash, chapters),
+                generate: () => generateSearchIndex(md, site)
+            },
+            {
+                outputPath: path.join(outDir, 'book.html'),
+                hash: hashContent(siteHash, chapters),
+                generate: () => generateBookPage(md, site, templates, bookMetadata)
+            }
+        ];
         
-        // Generate individual chapter pages
-        for (const chapter of chapters) {
-            await generateChapterPage(chapter, chapters, templates, bookMetadata);
+        // Generate the index, part divider, chapter, list and notes pages, the search index
+        // and the single-page book whose inputs changed
+        for (const page of pages) {
+            if (await cache.lookup(page.outputPath, page.hash)) {
+                result.cached.push(page.outputPath);
+            } else {
+                await page.generate();
+                cache.store(page.outputPath, page.hash);
+            }
+            result.outputs.push(page.outputPath);
+        }
+        // Remove pages of chapters and parts that no longer exist
+        const removedPages = await pruneDirectory(path.join(outDir, 'chapters'), pages.map(page => page.outputPath));
+        cache.forget(removedPages);
+        await cache.save();
+        
+        if (result.cached.length > 0) {
+            console.log(`♻️  Reused ${result.cached.length} unchanged page(s), rendered ${pages.length - result.cached.length}`);
         }
         
         // Copy assets
-        await copyAssets();
+        await copyAssets(book, outDir);
         
         // Generate CSS
-        await generateCSS();
+        await generateCSS(outDir, theme);
         
         // Generate sitemap and other SEO files
-        await generateSEOFiles(chapters, bookMetadata);
+        await generateSEOFiles(site, bookMetadata);
+        
+        // Generate the manifest and service worker for offline reading
+        result.outputs.push(...await generateOfflineFiles(site, bookMetadata, pages));
         
         console.log('✅ Web format built successfully!');
-        console.log('📁 Files created in docs/ directory');
+        console.log(`📁 Files created in ${outDir}/ directory`);
         console.log('🌐 Ready for GitHub Pages deployment');
         
+        return completeBuildResult(result);
+        
     } catch (error) {
-        console.error('❌ Error building web format:', error.message);
-        process.exit(1);
+        throw new BuildError('web', error);
     }
 }
 
-async function loadTemplates() {
-    const templateDir = 'config/templates';
-    await fs.ensureDir(templateDir);
+async function loadTemplates(theme) {
+    await fs.ensureDir(TEMPLATE_DIR);
     
     // Create default templates if they don't exist
     const defaultLayouts = {
         'layout.hbs': await createDefaultLayout(),
         'index.hbs': await createDefaultIndex(),
-        'chapter.hbs': await createDefaultChapter()
+        'chapter.hbs': await createDefaultChapter(),
+        'part.hbs': await createDefaultPart(),
+        'book.hbs': await createDefaultBook()
     };
     
     const templates = {};
     
     for (const [filename, defaultContent] of Object.entries(defaultLayouts)) {
-        const templatePath = path.join(templateDir, filename);
+        const defaultPath = path.join(TEMPLATE_DIR, filename);
+        const themePath = theme.templatesDir && path.join(theme.templatesDir, filename);
         
-        if (!await fs.pathExists(templatePath)) {
-            await fs.writeFile(templatePath, defaultContent);
+        if (!await fs.pathExists(defaultPath)) {
+            await fs.writeFile(defaultPath, defaultContent);
         }
         
+        // A theme's template takes the place of the default one
+        const templatePath = themePath && await fs.pathExists(themePath) ? themePath : defaultPath;
         const templateContent = await fs.readFile(templatePath, 'utf8');
         const templateName = filename.replace('.hbs', '');
-        templates[templateName] = Handlebars.compile(templateContent);
+        templates[templateName] = compileTemplate(templateContent, templatePath);
     }
     
     return templates;
 }
 
-async function processChapter(filename, md, templates, bookMetadata) {
-    const filePath = path.join('src/chapters', filename);
-    const content = await fs.readFile(filePath, 'utf8');
+function compileTemplate(templateContent, templatePath) {
+    // Parse up front so syntax errors point at the template file
+    try {
+        Handlebars.parse(templateContent);
+    } catch (error) {
+        throw createTemplateError(error, templatePath);
+    }
     
-    // Extract title from first heading
-    const titleMatch = content.match(/^#\s+(.+)$/m);
-    const title = titleMatch ? titleMatch[1] : filename.replace('.md', '');
+    const template = Handlebars.compile(templateContent);
+    
+    return (context) => {
+        try {
+            return template(context);
+        } catch (error) {
+            throw createTemplateError(error, templatePath);
+        }
+    };
+}
+
+function createTemplateError(error, templatePath) {
+    // Handlebars reports lineNumber (1-based) and column (0-based); parse errors only in the message
+    const line = error.lineNumber || parseInt(error.message.match(/on line (\d+)/)?.[1], 10) || undefined;
+    const column = typeof error.column === 'number' ? error.column + 1 : undefined;
+    const messageLines = error.message.split('\n');
+    const reason = messageLines[0].startsWith('Parse error')
+        ? messageLines[messageLines.length - 1]
+        : messageLines[0].replace(/ - \d+:\d+$/, '');
+    
+    return new BookError(`Template error in ${templatePath}${line ? ` at line ${line}` : ''}: ${reason}`, {
+        cause: error,
+        file: templatePath,
+        line,
+        column
+    });
+}
+
+function processChapter(source, index, numbering) {
+    // Create chapter object
+    const chapter = {
+        filename: `${source.slug}.html`,
+        file: source.file,
+        slug: source.slug,
+        title: source.title,
+        subtitle: source.subtitle,
+        description: source.description,
+        author: source.authors.join(', '),
+        tags: source.tags,
+        status: source.status,
+        draft: source.draft,
+        position: index + 1,
+        number: numbering.chapterNumber(source.file),
+        role: source.role,
+        part: source.part ? source.part.slug : null,
+        content: null,
+        rawContent: source.body
+    };
+    
+    return chapter;
+}
+
+async function prepareChapter(source, site, forNotesPage = false) {
+    const context = { format: 'web', book: site.book, chapter: source };
+    return resolveReferences(await site.plugins.run('beforeParse', source.body, context), site.references, target => {
+        // Links to other chapters are relative, chapter pages share the chapters/ directory;
+        // the Notes page links to the chapter pages for every target
+        if (!forNotesPage && target.chapter.file === source.file) {
+            return `#${target.label}`;
+        }
+        const page = site.chapters.find(page => page.file === target.chapter.file);
+        return page ? `${page.filename}#${target.label}` : null;
+    });
+}
+
+async function prepareMarkdown(source, site) {
+    const resolved = await prepareChapter(source, site);
+    
+    // Footnotes end the chapter; endnotes are on the Notes page
+    const { markdown } = placeFootnotes(resolved, {
+        id: source.file.replace(/\.md$/, ''),
+        format: 'html',
+        style: site.notes,
+        notesPage: site.notesPage ? site.notesPage.filename : ''
+    });
+    return numberMarkdown(markdown, site.numbering.number(markdown, source.file), 'html');
+}
+
+async function renderChapter(chapter, source, md, site) {
+    const context = { format: 'web', book: site.book, chapter: source };
+    const markdown = await prepareMarkdown(source, site);
     
     // Generate HTML
-    let html = md.render(content);
+    let html;
+    try {
+        html = md.render(markdown);
+    } catch (error) {
+        throw new BookError(`Error rendering ${source.file}: ${error.message}`, {
+            cause: error,
+            file: source.path,
+            line: error.line
+        });
+    }
     
     // Post-process HTML to add data-language attributes to code blocks
     html = addLanguageLabels(html);
     
-    // Create chapter object
-    const chapter = {
-        filename: filename.replace('.md', '.html'),
-        slug: filename.replace('.md', ''),
-        title,
-        content: html,
-        rawContent: content
+    // Place the front matter subtitle under the chapter title
+    if (source.subtitle) {
+        const subtitle = `<p class="chapter-subtitle">${md.utils.escapeHtml(source.subtitle)}</p>`;
+        html = html.includes('</h1>')
+            ? html.replace('</h1>', `</h1>\n${subtitle}`)
+            : `${subtitle}\n${html}`;
+    }
+    
+    chapter.content = await site.plugins.run('afterRender', html, context);
+}
+
+function describeNavigation(site) {
+    // What every page shows about the other pages: titles, order and grouping
+    return site.pages.map(page => ({
+        filename: page.filename,
+        title: page.title,
+        subtitle: page.subtitle,
+        description: page.description,
+        position: page.position,
+        number: page.number,
+        part: page.part,
+        role: page.role,
+        draft: page.draft
+    }));
+}
+
+function describeReferences(site) {
+    // What every page shows about the labels it may reference: their numbers and pages
+    return [...site.references.targets.values()].map(target => [
+        target.label,
+        target.kind,
+        target.number,
+        target.title,
+        target.chapter.file
+    ]);
+}
+
+function getPagePath(site, page) {
+    // The index page has no page object; every other page lives in chapters/
+    return page
+        ? path.join(site.outDir, 'chapters', page.filename)
+        : path.join(site.outDir, 'index.html');
+}
+
+function createPartPage(part, chapters) {
+    return {
+        number: part.number,
+        title: part.title,
+        slug: part.slug,
+        description: part.description,
+        filename: `${part.slug}.html`,
+        isPart: true,
+        chapters: chapters.filter(chapter => chapter.part === part.slug)
     };
+}
+
+function groupChapters(chapters, parts) {
+    // Consecutive chapters of the same part (or the appendices) form one group
+    const groups = [];
+    let current = null;
     
-    return chapter;
+    for (const chapter of chapters) {
+        const key = chapter.part || (chapter.role === 'appendix' ? 'appendices' : null);
+        
+        if (!current || current.key !== key) {
+            const part = parts.find(p => p.slug === chapter.part);
+            current = {
+                key,
+                title: part ? part.title : (key ? 'Appendices' : null),
+                filename: part ? part.filename : null,
+                start: chapter.position,
+                chapters: []
+            };
+            groups.push(current);
+        }
+        
+        current.chapters.push(chapter);
+    }
+    
+    return groups;
+}
+
+function createReadingOrder(chapters, parts) {
+    // Each part divider page comes right before its first chapter
+    const pages = [];
+    
+    for (const chapter of chapters) {
+        const part = parts.find(p => p.slug === chapter.part);
+        if (part && part.chapters[0] === chapter) {
+            pages.push(part);
+        }
+        pages.push(chapter);
+    }
+    
+    return pages;
 }
 
 function addLanguageLabels(html) {
@@ -189,10 +501,12 @@ function addLanguageLabels(html) {
     });
 }
 
-async function generateIndexPage(chapters, templates, bookMetadata) {
+async function generateIndexPage(site, templates, bookMetadata) {
     const html = templates.index({
         book: bookMetadata,
-        chapters,
+        chapters: site.chapters,
+        chapterGroups: site.chapterGroups,
+        lists: [...site.lists, ...(site.notesPage ? [site.notesPage] : [])],
         title: bookMetadata.title
     });
     
@@ -200,18 +514,63 @@ async function generateIndexPage(chapters, templates, bookMetadata) {
         title: bookMetadata.title,
         content: html,
         book: bookMetadata,
-        chapters,
+        chapters: site.chapters,
+        chapterGroups: site.chapterGroups,
+        theme: site.theme,
+        offline: site.offline,
         isHome: true
     });
     
-    await fs.writeFile('docs/index.html', finalHtml);
+    const outputPath = getPagePath(site);
+    await writePage(site, outputPath, finalHtml);
+    
+    return outputPath;
+}
+
+async function writePage(site, outputPath, html) {
+    // Plugins get the last word on every page
+    const context = { format: 'web', book: site.book, outputPath };
+    await fs.writeFile(outputPath, await site.plugins.run('beforeWrite', html, context));
 }
 
-async function generateChapterPage(chapter, allChapters, templates, bookMetadata) {
-    // Find previous and next chapters
-    const currentIndex = allChapters.findIndex(c => c.slug === chapter.slug);
-    const prevChapter = currentIndex > 0 ? allChapters[currentIndex - 1] : null;
-    const nextChapter = currentIndex < allChapters.length - 1 ? allChapters[currentIndex + 1] : null;
+function findNeighbours(page, pages) {
+    // Find previous and next pages in reading order
+    const currentIndex = pages.indexOf(page);
+    return {
+        prevChapter: currentIndex > 0 ? pages[currentIndex - 1] : null,
+        nextChapter: currentIndex < pages.length - 1 ? pages[currentIndex + 1] : null
+    };
+}
+
+async function generatePartPage(part, site, templates, bookMetadata) {
+    const { prevChapter, nextChapter } = findNeighbours(part, site.pages);
+    
+    const html = templates.part({
+        part,
+        prevChapter,
+        nextChapter,
+        book: bookMetadata
+    });
+    
+    const finalHtml = templates.layout({
+        title: `${part.title} - ${bookMetadata.title}`,
+        content: html,
+        book: bookMetadata,
+        chapters: site.chapters,
+        chapterGroups: site.chapterGroups,
+        theme: site.theme,
+        offline: site.offline,
+        chapter: part
+    });
+    
+    const outputPath = getPagePath(site, part);
+    await writePage(site, outputPath, finalHtml);
+    
+    return outputPath;
+}
+
+async function generateChapterPage(chapter, site, templates, bookMetadata) {
+    const { prevChapter, nextChapter } = findNeighbours(chapter, site.pages);
     
     const html = templates.chapter({
         chapter,
@@ -224,37 +583,218 @@ async function generateChapterPage(chapter, allChapters, templates, bookMetadata
         title: `${chapter.title} - ${bookMetadata.title}`,
         content: html,
         book: bookMetadata,
-        chapters: allChapters,
+        chapters: site.chapters,
+        chapterGroups: site.chapterGroups,
+        theme: site.theme,
+        offline: site.offline,
         chapter
     });
     
-    await fs.writeFile(`docs/chapters/${chapter.filename}`, finalHtml);
+    const outputPath = getPagePath(site, chapter);
+    await writePage(site, outputPath, finalHtml);
+    
+    return outputPath;
+}
+
+function renderList(list, md, site) {
+    // Lists of figures and tables link into the chapter pages next to them
+    const markdown = toListMarkdown(list, entry => {
+        const page = site.chapters.find(chapter => chapter.file === entry.file);
+        return `${page.filename}#${entry.id}`;
+    });
+    
+    return md.render(markdown);
+}
+
+async function renderNotes(md, site) {
+    // Endnotes of every chapter, each linking back to its reference
+    const chapters = [];
+    for (const [index, source] of site.book.chapters.entries()) {
+        const id = source.file.replace(/\.md$/, '');
+        const { notes } = extractFootnotes(await prepareChapter(source, site, true), { id, format: 'html' });
+        chapters.push({ title: source.title, id, notes, page: site.chapters[index].filename });
+    }
+    
+    return md.render(formatEndnotes(chapters, { format: 'html' }));
+}
+
+async function generateListPage(list, md, site, templates, bookMetadata) {
+    return generateContentPage({ ...list, content: renderList(list, md, site) }, site, templates, bookMetadata);
+}
+
+async function generateNotesPage(notesPage, md, site, templates, bookMetadata) {
+    return generateContentPage({ ...notesPage, content: await renderNotes(md, site) }, site, templates, bookMetadata);
+}
+
+async function generateSearchIndex(md, site) {
+    // Parsing is enough for the text and the heading anchors, cached pages are not rendered again
+    const documents = [];
+    for (const [index, source] of site.book.chapters.entries()) {
+        const chapter = site.chapters[index];
+        documents.push({
+            title: chapter.title,
+            number: chapter.number,
+            url: `chapters/${chapter.filename}`,
+            tokens: md.parse(await prepareMarkdown(source, site), {})
+        });
+    }
+    
+    const outputPath = path.join(site.outDir, 'search-index.json');
+    await fs.writeFile(outputPath, JSON.stringify(buildSearchIndex(documents)));
+    
+    return outputPath;
+}
+
+async function generateBookPage(md, site, templates, bookMetadata) {
+    // The lists, every part and chapter in reading order, and the endnotes, on one page
+    const pages = site.lists.map(list => ({ page: list, html: renderList(list, md, site) }));
+    for (const page of site.pages) {
+        if (!page.isPart && page.content === null) {
+            await renderChapter(page, site.book.chapters[page.position - 1], md, site);
+        }
+        pages.push({ page, html: page.isPart ? '' : page.content });
+    }
+    if (site.notesPage) {
+        pages.push({ page: site.notesPage, html: await renderNotes(md, site) });
+    }
+    
+    const combined = combinePages(pages.map(({ page, html }) => ({
+        id: `page-${page.slug}`,
+        files: page.file ? [page.filename, page.file] : [page.filename],
+        html
+    })));
+    
+    // One table of contents, with the same numbers as the chapter and section headings
+    const contents = pages.map(({ page }) => {
+        const entry = { title: page.title, number: page.number, isPart: page.isPart, href: combined.resolve(page.filename) };
+        if (page.file) {
+            const source = site.book.chapters[page.position - 1];
+            const numbers = site.numbering.number(source.body, source.file);
+            entry.sections = source.headings
+                .filter(heading => heading.level === 2)
+                .map(heading => ({
+                    title: heading.title,
+                    number: numbers.headings.get(heading.line),
+                    href: combined.resolve(`${page.filename}#${heading.anchor}`)
+                }));
+        }
+        return entry;
+    });
+    
+    const html = templates.book({
+        book: bookMetadata,
+        contents,
+        pages: pages.map(({ page }, index) => ({
+            id: combined.pages[index].id,
+            title: page.title,
+            description: page.description,
+            isPart: page.isPart,
+            content: combined.pages[index].html
+        }))
+    });
+    
+    const outputPath = path.join(site.outDir, 'book.html');
+    await writePage(site, outputPath, html);
+    
+    return outputPath;
 }
 
-async function copyAssets() {
-    // Copy images
-    if (await fs.pathExists('src/images')) {
-        await fs.copy('src/images', 'docs/images');
+async function generateContentPage(page, site, templates, bookMetadata) {
+    // Pages generated from the whole book use the chapter template, outside the reading order
+    const html = templates.chapter({
+        chapter: page,
+        prevChapter: null,
+        nextChapter: null,
+        book: bookMetadata
+    });
+    
+    const finalHtml = templates.layout({
+        title: `${page.title} - ${bookMetadata.title}`,
+        content: html,
+        book: bookMetadata,
+        chapters: site.chapters,
+        chapterGroups: site.chapterGroups,
+        theme: site.theme,
+        offline: site.offline,
+        chapter: page
+    });
+    
+    const outputPath = getPagePath(site, page);
+    await writePage(site, outputPath, finalHtml);
+    
+    return outputPath;
+}
+
+async function copyAssets(book, outDir) {
+    // Copy images, removing copies of images deleted from the manuscript
+    if (await fs.pathExists(book.imagesDir)) {
+        await copyIfChanged(book.imagesDir, path.join(outDir, 'images'));
+        await pruneDirectory(path.join(outDir, 'images'), await listFiles(book.imagesDir, path.join(outDir, 'images')));
+    } else {
+        await fs.remove(path.join(outDir, 'images'));
     }
     
     // Copy any additional assets
     if (await fs.pathExists('config/assets')) {
-        await fs.copy('config/assets', 'docs/assets');
+        await copyIfChanged('config/assets', path.join(outDir, 'assets'));
     }
     
     // Copy enhanced JavaScript features
     const enhancedJSPath = 'config/enhanced-features.js';
     if (await fs.pathExists(enhancedJSPath)) {
-        await fs.copy(enhancedJSPath, 'docs/assets/features.js');
+        await copyIfChanged(enhancedJSPath, path.join(outDir, 'assets', 'features.js'));
     }
 }
 
-async function generateCSS() {
+async function listFiles(dir, base = dir) {
+    // Files below dir, as paths under base
+    const files = [];
+    
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(entryPath, path.join(base, entry.name)));
+        } else {
+            files.push(path.join(base, entry.name));
+        }
+    }
+    
+    return files;
+}
+
+async function pruneDirectory(dir, keep) {
+    // Delete every file below dir that is not in keep, and any directories left empty
+    if (!await fs.pathExists(dir)) {
+        return [];
+    }
+    
+    const keepPaths = new Set(keep.map(file => path.resolve(file)));
+    const removed = [];
+    
+    for (const file of await listFiles(dir)) {
+        if (!keepPaths.has(path.resolve(file))) {
+            await fs.remove(file);
+            removed.push(file);
+        }
+    }
+    
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && (await listFiles(entryPath)).length === 0) {
+            await fs.remove(entryPath);
+        }
+    }
+    
+    return removed;
+}
+
+async function generateCSS(outDir, theme) {
     // Copy the enhanced CSS file
     const enhancedCSSPath = 'config/enhanced-style.css';
     
     if (await fs.pathExists(enhancedCSSPath)) {
-        await fs.copy(enhancedCSSPath, 'docs/assets/style.css');
+        await copyIfChanged(enhancedCSSPath, path.join(outDir, 'assets', 'style.css'));
     } else {
         // Fallback to basic CSS if enhanced version doesn't exist
         const basicCSS = `/* Basic fallback styles */
@@ -264,11 +804,21 @@ async function generateCSS() {
         nav { background: #666; padding: 0.5rem; }
         main { padding: 2rem 0; }`;
         
-        await fs.writeFile('docs/assets/style.css', basicCSS);
+        await fs.writeFile(path.join(outDir, 'assets', 'style.css'), basicCSS);
+    }
+    
+    // The theme's stylesheet is loaded after the base one
+    if (theme.stylesheet) {
+        await copyIfChanged(theme.stylesheet, path.join(outDir, 'assets', 'theme.css'));
+    } else {
+        await fs.remove(path.join(outDir, 'assets', 'theme.css'));
     }
+    
+    // Print styles of the single-page book
+    await copyIfChanged(BOOK_PAGE_CSS, path.join(outDir, 'assets', 'book-page.css'));
 }
 
-async function generateSEOFiles(chapters, bookMetadata) {
+async function generateSEOFiles(site, bookMetadata) {
     // Generate sitemap.xml
     const baseUrl = bookMetadata.web?.base_url || 'https://example.com';
     const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
@@ -278,15 +828,15 @@ async function generateSEOFiles(chapters, bookMetadata) {
         <changefreq>weekly</changefreq>
         <priority>1.0</priority>
     </url>
-    ${chapters.map(chapter => `
+    ${[...site.pages, ...site.lists, ...(site.notesPage ? [site.notesPage] : [])].filter(page => !page.draft).map(page => `
     <url>
-        <loc>${baseUrl}/chapters/${chapter.filename}</loc>
+        <loc>${baseUrl}/chapters/${page.filename}</loc>
         <changefreq>monthly</changefreq>
         <priority>0.8</priority>
     </url>`).join('')}
 </urlset>`;
     
-    await fs.writeFile('docs/sitemap.xml', sitemap);
+    await fs.writeFile(path.join(site.outDir, 'sitemap.xml'), sitemap);
     
     // Generate robots.txt
     const robots = `User-agent: *
@@ -294,7 +844,39 @@ Allow: /
 
 Sitemap: ${baseUrl}/sitemap.xml`;
     
-    await fs.writeFile('docs/robots.txt', robots);
+    await fs.writeFile(path.join(site.outDir, 'robots.txt'), robots);
+}
+
+async function generateOfflineFiles(site, bookMetadata, pages) {
+    const manifestPath = path.join(site.outDir, MANIFEST_FILE);
+    const workerPath = path.join(site.outDir, SERVICE_WORKER_FILE);
+    
+    if (!site.offline) {
+        // Browsers keep a service worker from an earlier build until it is replaced
+        await fs.remove(manifestPath);
+        if (await fs.pathExists(workerPath)) {
+            await fs.writeFile(workerPath, createRetiredServiceWorker());
+        }
+        return [];
+    }
+    
+    await fs.writeFile(manifestPath, JSON.stringify(createManifest(bookMetadata, site.offline), null, 2));
+    
+    // Every page, image and asset, and the home page by its directory URL
+    const imagesDir = path.join(site.outDir, 'images');
+    const images = await fs.pathExists(imagesDir) ? await listFiles(imagesDir) : [];
+    const files = [
+        ...pages.map(page => page.outputPath),
+        ...await listFiles(path.join(site.outDir, 'assets')),
+        manifestPath
+    ];
+    const urls = ['./', ...[...files, ...images].map(file => path.relative(site.outDir, file).split(path.sep).join('/'))];
+    
+    // A new cache version whenever a cached file changes, so readers get the new build
+    const version = hashContent(await hashFiles(files), await hashDirectory(imagesDir), urls).slice(0, 12);
+    await fs.writeFile(workerPath, createServiceWorker(version, urls));
+    
+    return [manifestPath, workerPath];
 }
 
 async function createDefaultLayout() {
@@ -304,14 +886,32 @@ async function createDefaultLayout() {
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>{{title}}</title>
-    <meta name="description" content="{{book.description}}">
-    <meta name="author" content="{{book.author}}">
-    <meta name="keywords" content="book, {{book.title}}, {{book.author}}">
+    <meta name="description" content="{{#if chapter.description}}{{chapter.description}}{{else}}{{book.description}}{{/if}}">
+    <meta name="author" content="{{#if chapter.author}}{{chapter.author}}{{else}}{{book.author}}{{/if}}">
+    <meta name="keywords" content="book, {{book.title}}, {{book.author}}{{#each chapter.tags}}, {{this}}{{/each}}">
+    {{#if chapter.draft}}<meta name="robots" content="noindex">{{/if}}
     <meta property="og:title" content="{{title}}">
-    <meta property="og:description" content="{{book.description}}">
+    <meta property="og:description" content="{{#if chapter.description}}{{chapter.description}}{{else}}{{book.description}}{{/if}}">
     <meta property="og:type" content="book">
     <link rel="stylesheet" href="/assets/style.css">
+    {{#if theme.stylesheet}}<link rel="stylesheet" href="/assets/theme.css">{{/if}}
+    {{#if offline}}
+    <link rel="manifest" href="/manifest.webmanifest">
+    <meta name="theme-color" content="{{offline.themeColor}}">
+    {{/if}}
     <link rel="canonical" href="{{#if chapter}}{{book.web.base_url}}/chapters/{{chapter.filename}}{{else}}{{book.web.base_url}}/{{/if}}">
+    <script>
+        // Apply saved reader preferences before the page is drawn
+        (function() {
+            try {
+                var html = document.documentElement;
+                var dark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+                html.setAttribute('data-theme', localStorage.getItem('theme') || (dark ? 'dark' : 'light'));
+                if (localStorage.getItem('font-family')) html.setAttribute('data-font', localStorage.getItem('font-family'));
+                if (localStorage.getItem('font-size')) html.style.setProperty('--reader-font-scale', localStorage.getItem('font-size'));
+            } catch (e) {}
+        })();
+    </script>
 </head>
 <body>
     <div class="reading-progress"></div>
@@ -331,10 +931,36 @@ async function createDefaultLayout() {
                 <li><a href="/chapters/{{filename}}" {{#if (eq ../chapter.slug slug)}}class="active"{{/if}}>{{title}}</a></li>
                 {{/each}}
             </ul>
+            <button class="search-toggle" onclick="openSearch()" aria-label="Search the book" title="Search (/)">🔍</button>
             <button class="theme-toggle" onclick="toggleTheme()" aria-label="Toggle dark mode"></button>
+            <button class="reader-settings-toggle" onclick="toggleReaderSettings()" aria-label="Reading settings" aria-controls="reader-settings" aria-expanded="false" title="Reading settings">Aa</button>
+            {{#if offline}}<span class="offline-status" id="offline-status" role="status" data-service-worker="/sw.js" hidden>Available offline</span>{{/if}}
         </div>
     </nav>
     
+    <div class="reader-settings" id="reader-settings" role="dialog" aria-label="Reading settings" hidden>
+        <fieldset>
+            <legend>Theme</legend>
+            <label><input type="radio" name="reader-theme" value="auto"> Auto</label>
+            <label><input type="radio" name="reader-theme" value="light"> Light</label>
+            <label><input type="radio" name="reader-theme" value="dark"> Dark</label>
+            <label><input type="radio" name="reader-theme" value="sepia"> Sepia</label>
+            <label><input type="radio" name="reader-theme" value="contrast"> High contrast</label>
+        </fieldset>
+        <fieldset>
+            <legend>Text size</legend>
+            <button type="button" data-font-step="-1" aria-label="Smaller text">A−</button>
+            <output class="reader-font-size">100%</output>
+            <button type="button" data-font-step="1" aria-label="Larger text">A+</button>
+        </fieldset>
+        <fieldset>
+            <legend>Font</legend>
+            <label><input type="radio" name="reader-font" value="default"> Default</label>
+            <label><input type="radio" name="reader-font" value="serif"> Serif</label>
+            <label><input type="radio" name="reader-font" value="sans"> Sans-serif</label>
+        </fieldset>
+    </div>
+    
     <main>
         <div class="container fade-in">
             {{{content}}}
@@ -361,6 +987,14 @@ async function createDefaultLayout() {
         </div>
     </footer>
     
+    <div class="search-dialog" id="search-dialog" role="dialog" aria-modal="true" aria-label="Search the book" data-root="/" hidden>
+        <div class="search-panel">
+            <input type="search" class="search-input" id="search-input" placeholder="Search the book..." autocomplete="off" aria-controls="search-results">
+            <ul class="search-results" id="search-results" role="listbox"></ul>
+            <div class="search-hint">↑ ↓ to choose, Enter to open, Esc to close</div>
+        </div>
+    </div>
+    
     <script src="/assets/features.js"></script>
 </body>
 </html>`;
@@ -377,11 +1011,26 @@ async function createDefaultIndex() {
     {{/if}}
     
     <h2>Table of Contents</h2>
+    {{#each chapterGroups}}
+    {{#if title}}
+    <h3 class="chapter-list-part">{{#if filename}}<a href="/chapters/{{filename}}">{{title}}</a>{{else}}{{title}}{{/if}}</h3>
+    {{/if}}
     <ol class="chapter-list">
         {{#each chapters}}
-        <li><a href="/chapters/{{filename}}">{{title}}</a></li>
+        <li><a href="/chapters/{{filename}}">{{#if number}}<span class="chapter-list-number">{{number}}</span> {{/if}}{{title}}</a></li>
         {{/each}}
     </ol>
+    {{/each}}
+    
+    {{#if lists}}
+    <ul class="book-lists">
+        {{#each lists}}
+        <li><a href="/chapters/{{filename}}">{{title}}</a></li>
+        {{/each}}
+    </ul>
+    {{/if}}
+    
+    <p class="book-single-page"><a href="/book.html">Read the whole book on one page</a>, ready to print or save as PDF</p>
     
     <div class="book-info">
         <p><strong>Author{{#if book.authorObjects}}{{#gt book.authorObjects.length 1}}s{{/gt}}{{/if}}:</strong> {{book.author}}</p>
@@ -419,6 +1068,9 @@ async function createDefaultIndex() {
 
 async function createDefaultChapter() {
     return `<div class="chapter-content">
+    {{#if chapter.draft}}
+    <div class="draft-banner" role="note">DRAFT &mdash; this chapter is not included in published builds</div>
+    {{/if}}
     {{{chapter.content}}}
     
     <div class="chapter-nav">
@@ -447,9 +1099,105 @@ async function createDefaultChapter() {
 </div>`;
 }
 
+async function createDefaultPart() {
+    return `<div class="part-content">
+    <div class="part-divider">
+        <h1>{{part.title}}</h1>
+        {{#if part.description}}
+        <p class="part-description">{{part.description}}</p>
+        {{/if}}
+    </div>
+    
+    <ol class="chapter-list">
+        {{#each part.chapters}}
+        <li><a href="/chapters/{{filename}}">{{#if number}}<span class="chapter-list-number">{{number}}</span> {{/if}}{{title}}</a></li>
+        {{/each}}
+    </ol>
+    
+    <div class="chapter-nav">
+        {{#if prevChapter}}
+        <a href="/chapters/{{prevChapter.filename}}" class="chapter-nav-item chapter-nav-prev">
+            <span>← Previous</span>
+            <span>{{prevChapter.title}}</span>
+        </a>
+        {{else}}
+        <div></div>
+        {{/if}}
+        
+        {{#if nextChapter}}
+        <a href="/chapters/{{nextChapter.filename}}" class="chapter-nav-item chapter-nav-next">
+            <span>Next →</span>
+            <span>{{nextChapter.title}}</span>
+        </a>
+        {{else}}
+        <div></div>
+        {{/if}}
+    </div>
+</div>`;
+}
+
+async function createDefaultBook() {
+    return `<!DOCTYPE html>
+<html lang="{{#if book.language}}{{book.language}}{{else}}en{{/if}}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{{book.title}}</title>
+    <meta name="description" content="{{book.description}}">
+    <meta name="author" content="{{book.author}}">
+    <link rel="stylesheet" href="assets/book-page.css">
+</head>
+<body>
+    <header class="book-title-page">
+        <h1 class="book-title">{{book.title}}</h1>
+        {{#if book.subtitle}}<p class="book-subtitle">{{book.subtitle}}</p>{{/if}}
+        <p class="book-author">{{book.author}}</p>
+        <p class="book-home"><a href="./">Read chapter by chapter</a></p>
+    </header>
+    
+    <nav class="book-toc" role="doc-toc" aria-labelledby="book-toc-title">
+        <h2 id="book-toc-title">Table of Contents</h2>
+        <ol>
+            {{#each contents}}
+            <li{{#if isPart}} class="book-toc-part"{{/if}}>
+                <a href="{{href}}">{{#if number}}<span class="book-toc-number">{{number}}</span> {{/if}}{{title}}</a>
+                {{#if sections}}
+                <ol>
+                    {{#each sections}}
+                    <li><a href="{{href}}">{{#if number}}<span class="book-toc-number">{{number}}</span> {{/if}}{{title}}</a></li>
+                    {{/each}}
+                </ol>
+                {{/if}}
+            </li>
+            {{/each}}
+        </ol>
+    </nav>
+    
+    <main>
+        {{#each pages}}
+        {{#if isPart}}
+        <section class="book-part" id="{{id}}">
+            <h1 class="part-title">{{title}}</h1>
+            {{#if description}}<p class="part-description">{{description}}</p>{{/if}}
+        </section>
+        {{else}}
+        <section class="book-chapter" id="{{id}}">
+            {{{content}}}
+        </section>
+        {{/if}}
+        {{/each}}
+    </main>
+</body>
+</html>`;
+}
+
 // Run the script
 if (require.main === module) {
-    buildWeb();
+    buildWeb({
+        includeDrafts: process.argv.includes('--include-drafts'),
+        force: process.argv.includes('--force')
+    })
+        .catch(error => handleCliError(error));
 }
 
 module.exports = buildWeb;
@@ -0,0 +1,81 @@
+/**
+ * Source locations and code frames for build errors
+ * Used by the dev server to show where a Markdown, Handlebars or YAML error is
+ */
+
+const fs = require('fs-extra');
+
+const CONTEXT_LINES = 2;
+
+/**
+ * Render the lines around a location with line numbers and a caret
+ * @param {string} source - File contents
+ * @param {number} line - 1-based line number
+ * @param {number} [column] - 1-based column number
+ * @returns {string} Code frame
+ */
+function createCodeFrame(source, line, column) {
+    const lines = source.split(/\r?\n/);
+    const start = Math.max(1, line - CONTEXT_LINES);
+    const end = Math.min(lines.length, line + CONTEXT_LINES);
+    const width = String(end).length;
+    const frame = [];
+    
+    for (let number = start; number <= end; number++) {
+        const marker = number === line ? '>' : ' ';
+        frame.push(`${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`);
+        
+        if (number === line && column) {
+            frame.push(`  ${' '.repeat(width)} | ${' '.repeat(column - 1)}^`);
+        }
+    }
+    
+    return frame.join('\n');
+}
+
+/**
+ * Find the innermost source location in an error and its causes
+ * @param {Error} error - Error to inspect
+ * @returns {Object|null} Location with file, line and column
+ */
+function findErrorLocation(error) {
+    let location = null;
+    
+    for (let current = error; current; current = current.cause) {
+        if (current.file) {
+            location = { file: current.file, line: current.line, column: current.column };
+        }
+    }
+    
+    return location;
+}
+
+/**
+ * Describe an error for display, with a code frame when the location is known
+ * @param {Error} error - Error to describe
+ * @returns {Promise<Object>} Message, hint, file, line, column and frame
+ */
+async function describeError(error) {
+    const location = findErrorLocation(error);
+    const description = {
+        message: error.message,
+        hint: error.hint || '',
+        file: location?.file || null,
+        line: location?.line || null,
+        column: location?.column || null,
+        frame: ''
+    };
+    
+    if (description.file && description.line && await fs.pathExists(description.file)) {
+        const source = await fs.readFile(description.file, 'utf8');
+        description.frame = createCodeFrame(source, description.line, description.column);
+    }
+    
+    return description;
+}
+
+module.exports = {
+    createCodeFrame,
+    findErrorLocation,
+    describeError
+};
@@ -0,0 +1,256 @@
+/**
+ * Cross-references between chapters, sections, figures and tables
+ * Labels are Pandoc-style ids on headings, figures and table captions:
+ *
+ *   ## Installing the tools {#sec:install}
+ *   ![Architecture overview](../images/arch.png){#fig:arch}
+ *   Table: Supported formats {#tbl:formats}
+ *
+ * and `@ref(sec:install)` anywhere in the text becomes a numbered link such
+ * as "Section 2.1". Each builder decides what the link points to
+ */
+
+const { scanLines, extractHeadings } = require('./manuscript');
+const {
+    CAPTION_PATTERN,
+    findFigures,
+    findTables,
+    findListings,
+    createNumbering
+} = require('./numbering');
+
+// @ref(label), or a code span to leave alone
+const REFERENCE_PATTERN = /(`+)[\s\S]*?\1|@ref\(([^()\s]+)\)/g;
+
+const REFERENCE_NAMES = {
+    chapter: 'Chapter',
+    appendix: 'Appendix',
+    section: 'Section',
+    figure: 'Figure',
+    table: 'Table',
+    listing: 'Listing'
+};
+
+/**
+ * Collect every label of the book and the number it is referenced by
+ * @param {Object} book - Book model from loadBook
+ * @returns {Object} Targets by label, duplicate labels and references to missing labels
+ */
+function buildReferenceIndex(book) {
+    const sections = [...book.frontMatter, ...book.chapters, ...book.backMatter];
+    const numbering = createNumbering(book);
+    const targets = new Map();
+    const duplicates = [];
+    
+    const addTarget = (label, target) => {
+        if (targets.has(label)) {
+            duplicates.push({ label, file: target.chapter.file, line: target.line, first: targets.get(label).chapter.file });
+        } else {
+            targets.set(label, { ...target, label });
+        }
+    };
+    
+    for (const chapter of sections) {
+        const lines = scanLines(chapter.body);
+        const numbers = numbering.number(chapter.body, chapter.file);
+        const context = { chapter: { file: chapter.file, slug: chapter.slug, role: chapter.role } };
+        
+        for (const heading of extractHeadings(lines).filter(heading => heading.labelled)) {
+            addTarget(heading.anchor, {
+                ...context,
+                kind: heading.level > 1 ? 'section' : chapter.role === 'appendix' ? 'appendix' : 'chapter',
+                number: numbers.headings.get(heading.line) || null,
+                title: heading.title,
+                line: heading.line
+            });
+        }
+        
+        for (const figure of findFigures(lines).filter(figure => figure.label)) {
+            addTarget(figure.label, {
+                ...context,
+                kind: 'figure',
+                number: numbers.figures.get(figure.line) || null,
+                title: figure.caption,
+                line: figure.line
+            });
+        }
+        
+        for (const { caption } of findTables(lines).filter(table => table.caption?.label)) {
+            addTarget(caption.label, {
+                ...context,
+                kind: 'table',
+                number: numbers.tables.get(caption.line) || null,
+                title: caption.text,
+                line: caption.line
+            });
+        }
+        
+        for (const listing of findListings(lines).filter(listing => listing.label)) {
+            addTarget(listing.label, {
+                ...context,
+                kind: 'listing',
+                number: numbers.listings.get(listing.line) || null,
+                title: listing.caption,
+                line: listing.line
+            });
+        }
+    }
+    
+    // References whose label does not exist
+    const unresolved = [];
+    for (const chapter of sections) {
+        for (const { label, line } of findReferences(chapter.body)) {
+            if (!targets.has(label)) {
+                unresolved.push({ label, file: chapter.file, line });
+            }
+        }
+    }
+    
+    return { targets, duplicates, unresolved };
+}
+
+/**
+ * List the @ref() references of a chapter, outside code
+ * @param {string} markdown - Markdown content
+ * @returns {Array<Object>} References with label and line
+ */
+function findReferences(markdown) {
+    const references = [];
+    
+    for (const { text, line, inCode } of scanLines(markdown)) {
+        if (inCode) continue;
+        
+        for (const match of text.matchAll(REFERENCE_PATTERN)) {
+            if (match[2]) {
+                references.push({ label: match[2], line });
+            }
+        }
+    }
+    
+    return references;
+}
+
+/**
+ * Text of a reference, e.g. "Figure 3.2"; unnumbered targets are referenced by their title
+ * @param {Object} target - Target from the reference index
+ * @returns {string} Reference text
+ */
+function formatReference(target) {
+    if (!target.number) {
+        return target.title || target.label;
+    }
+    
+    return `${REFERENCE_NAMES[target.kind]} ${target.number}`;
+}
+
+/**
+ * Replace @ref(label) with Markdown links
+ * Unresolved references are left as they are; validate reports them
+ * @param {string} markdown - Markdown content
+ * @param {Object} index - Reference index from buildReferenceIndex
+ * @param {Function} linkTo - Link for a target, or null to write the reference as plain text
+ * @returns {string} Markdown with references resolved
+ */
+function resolveReferences(markdown, index, linkTo) {
+    return scanLines(markdown).map(({ text, inCode }) => {
+        if (inCode) {
+            return text;
+        }
+        
+        return text.replace(REFERENCE_PATTERN, (match, ticks, label) => {
+            const target = label && index.targets.get(label);
+            if (!target) {
+                return match;
+            }
+            
+            const href = linkTo(target);
+            return href ? `[${formatReference(target)}](${href})` : formatReference(target);
+        });
+    }).join('\n');
+}
+
+/**
+ * Links for a book built as one document, such as the PDF, the EPUB or the Leanpub manuscript
+ * @param {Array<Object>} chapters - Chapters in the document
+ * @returns {Function} Internal anchor for targets in the document, null for the others
+ */
+function linkWithinDocument(chapters) {
+    const files = new Set(chapters.map(chapter => chapter.file));
+    return target => (files.has(target.chapter.file) ? `#${target.label}` : null);
+}
+
+/**
+ * Give labelled tables an anchor Pandoc keeps
+ * Pandoc reads ids on headings and figures but not on table captions,
+ * so the label moves to an empty span before the table
+ * @param {string} markdown - Markdown content
+ * @returns {string} Pandoc Markdown
+ */
+function toPandocLabels(markdown) {
+    const lines = scanLines(markdown);
+    const output = lines.map(({ text }) => text);
+    
+    for (const { start, caption } of findTables(lines).reverse()) {
+        if (caption?.label) {
+            output[caption.line - 1] = output[caption.line - 1].replace(/\s*\{#[^}\s]+\}\s*$/, '');
+            output.splice(start - 1, 0, `[]{#${caption.label}}`, '');
+        }
+    }
+    
+    return output.join('\n');
+}
+
+/**
+ * markdown-it plugin reading {#label} ids on headings and table captions
+ * Headings get the id, so markdown-it-anchor keeps it; table captions get it
+ * on their paragraph, with the table-caption class. Figures are <figure>
+ * elements by then, see numberMarkdown
+ * @param {Object} md - markdown-it instance
+ */
+function markdownItLabels(md) {
+    // A caption paragraph sits right before or right after its table
+    const isNextTo = (tokens, index, type) => {
+        return tokens[index - 1]?.type === `${type}_close` || tokens[index + 3]?.type === `${type}_open`;
+    };
+    
+    md.core.ruler.after('block', 'labels', state => {
+        state.tokens.forEach((token, index) => {
+            const inline = state.tokens[index + 1];
+            if (!inline || inline.type !== 'inline') {
+                return;
+            }
+            
+            let match;
+            if (token.type === 'heading_open') {
+                // Any Pandoc attribute block is dropped, its #id kept
+                const heading = inline.content.match(/^([\s\S]*?)\s*\{([^}]*)\}\s*$/);
+                match = heading && [heading[0], heading[1], heading[2].match(/(?:^|\s)#([^\s}]+)/)?.[1]];
+            } else if (token.type === 'paragraph_open') {
+                const caption = inline.content.match(CAPTION_PATTERN);
+                if (caption && isNextTo(state.tokens, index, 'table')) {
+                    // Table captions lose their "Table:" marker
+                    token.attrJoin('class', 'table-caption');
+                    match = caption;
+                }
+            }
+            
+            if (match) {
+                inline.content = match[1];
+                if (match[2]) {
+                    token.attrSet('id', match[2]);
+                }
+            }
+        });
+    });
+}
+
+module.exports = {
+    REFERENCE_NAMES,
+    buildReferenceIndex,
+    findReferences,
+    formatReference,
+    resolveReferences,
+    linkWithinDocument,
+    toPandocLabels,
+    markdownItLabels
+};
@@ -4,52 +4,143 @@ const express = require('express');
 const chokidar = require('chokidar');
 const path = require('path');
 const buildWeb = require('./build-web');
+const { DEFAULT_SOURCE_DIR } = require('./manuscript');
+const { copyIfChanged } = require('./build-cache');
+const { createLiveReload } = require('./live-reload');
+const { PREVIEW_PATH, createPreviewRouter } = require('./preview');
+const { CONFIG_FILE } = require('./plugins');
+const { describeError } = require('./code-frame');
+const { BookError, handleCliError } = require('./errors');
 
-const app = express();
 const PORT = 3000;
+const HOST = 'localhost';
+const WATCHED_EVENTS = ['add', 'change', 'unlink'];
+const STYLESHEET = 'config/enhanced-style.css';
 
-// Serve static files from docs directory
-app.use(express.static('docs'));
-
-// Watch for changes in source files
-const watcher = chokidar.watch(['src/**/*', 'config/**/*'], {
-    ignored: /node_modules/,
-    persistent: true
-});
-
-let buildTimeout;
-
-watcher.on('change', (filePath) => {
-    console.log(`📝 File changed: ${filePath}`);
+async function startDevServer(options = {}) {
+    const app = express();
+    const sourceDir = options.sourceDir || DEFAULT_SOURCE_DIR;
+    const outDir = options.outputDir || 'docs';
+    
+    // The dev server always shows draft chapters, and serves every change
+    // straight away rather than from an offline copy
+    const buildOptions = { ...options, outputDir: outDir, includeDrafts: true, offline: false };
+    
+    // Serve pages with the live reload client, and other files from docs directory
+    const liveReload = createLiveReload(outDir);
+    app.use(liveReload.router);
+    app.use(createPreviewRouter(buildOptions));
+    app.use(express.static(outDir));
     
-    // Debounce builds to avoid rapid rebuilds
-    clearTimeout(buildTimeout);
-    buildTimeout = setTimeout(async () => {
+    // Watch for changes in source files
+    const watchPaths = [path.join(sourceDir, '**/*'), 'config/**/*', CONFIG_FILE, 'plugins/**/*'];
+    if (options.configFile) {
+        watchPaths.push(options.configFile);
+    }
+    
+    const watcher = chokidar.watch(watchPaths, {
+        ignored: /node_modules/,
+        ignoreInitial: true,
+        persistent: true
+    });
+    
+    let buildTimeout;
+    let building = Promise.resolve();
+    const changedFiles = new Map();
+    
+    const rebuild = async (changes) => {
+        // Stylesheet edits are swapped into open pages without a reload
+        const stylesheetOnly = changes.every(([file, event]) => {
+            return event === 'change' && path.resolve(file) === path.resolve(STYLESHEET);
+        });
+        
         try {
+            if (stylesheetOnly) {
+                await copyIfChanged(STYLESHEET, path.join(outDir, 'assets', 'style.css'));
+                liveReload.notify('css');
+                console.log('🎨 Stylesheet updated');
+                return;
+            }
+            
             console.log('🔄 Rebuilding...');
-            await buildWeb();
+            await buildWeb(buildOptions);
+            liveReload.clearError();
+            liveReload.notify('reload');
             console.log('✅ Rebuild complete!');
         } catch (error) {
-            console.error('❌ Rebuild failed:', error.message);
+            // Show the error in open pages as well as in the terminal
+            const description = await describeError(error);
+            liveReload.showError(description);
+            
+            console.error('❌ Rebuild failed:', description.message);
+            if (description.frame) {
+                console.error(`\n${description.file}:${description.line}${description.column ? `:${description.column}` : ''}\n${description.frame}\n`);
+            }
         }
-    }, 500);
-});
-
-// Initial build
-buildWeb().then(() => {
-    app.listen(PORT, () => {
-        console.log(`🌐 Development server running at http://localhost:${PORT}`);
-        console.log('👀 Watching for changes...');
-        console.log('Press Ctrl+C to stop');
+    };
+    
+    // A rename arrives as an unlink and an add, which end up in the same rebuild
+    watcher.on('all', (event, filePath) => {
+        if (!WATCHED_EVENTS.includes(event)) {
+            return;
+        }
+        
+        const labels = { add: 'added', change: 'changed', unlink: 'deleted' };
+        console.log(`📝 File ${labels[event]}: ${filePath}`);
+        changedFiles.set(filePath, event);
+        
+        // Debounce builds to avoid rapid rebuilds, and never run two at once
+        clearTimeout(buildTimeout);
+        buildTimeout = setTimeout(() => {
+            const changes = [...changedFiles];
+            changedFiles.clear();
+            // A failure while reporting a failure must not stop later rebuilds
+            building = building
+                .then(() => rebuild(changes))
+                .catch(error => console.error('❌ Rebuild failed:', error.message));
+        }, 500);
     });
-}).catch(error => {
-    console.error('❌ Failed to start development server:', error.message);
-    process.exit(1);
-});
+    
+    // Initial build
+    try {
+        await buildWeb(buildOptions);
+    } catch (error) {
+        // Stop watching so the process can exit
+        await watcher.close();
+        throw error;
+    }
+    
+    const port = options.port || PORT;
+    const host = options.host || HOST;
+    
+    try {
+        await new Promise((resolve, reject) => {
+            app.listen(port, host, resolve).on('error', reject);
+        });
+    } catch (error) {
+        await watcher.close();
+        throw error.code === 'EADDRINUSE'
+            ? new BookError(`Port ${port} is already in use`, { cause: error, hint: 'Pick another port with --port <number>' })
+            : error;
+    }
+    
+    console.log(`🌐 Development server running at http://${host}:${port}`);
+    console.log(`📄 PDF and EPUB previews at http://${host}:${port}${PREVIEW_PATH}`);
+    console.log('👀 Watching for changes, open pages reload automatically...');
+    console.log('Press Ctrl+C to stop');
+    
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n👋 Shutting down development server...');
+        liveReload.close();
+        watcher.close();
+        process.exit(0);
+    });
+}
+
+// Run the script
+if (require.main === module) {
+    startDevServer().catch(error => handleCliError(error));
+}
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n👋 Shutting down development server...');
-    watcher.close();
-    process.exit(0);
-});
+module.exports = startDevServer;
@@ -0,0 +1,105 @@
+/**
+ * Minimal EPUB reader for the dev server preview
+ * Unpacks the EPUB zip in memory and reads its package document, spine and
+ * navigation so the pages can be served to the browser one by one
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { readZipEntries } = require('./zip');
+
+function readAttributes(tag) {
+    const attributes = {};
+    for (const match of tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+        attributes[match[1]] = match[2];
+    }
+    return attributes;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * Read the package document of an unpacked EPUB
+ * @param {Map<string, Buffer>} files - EPUB contents from readZipEntries
+ * @param {string} filePath - Path of the .epub file, for errors
+ * @returns {Object} Package path and document, manifest items by id, spine and navigation document
+ */
+function readPackage(files, filePath) {
+    const container = files.get('META-INF/container.xml');
+    const packagePath = container && readAttributes(container.toString('utf8').match(/<rootfile\b[^>]*>/)?.[0] || '')['full-path'];
+    if (!packagePath || !files.has(packagePath)) {
+        throw new Error(`No package document found in ${filePath}`);
+    }
+    
+    const packageDocument = files.get(packagePath).toString('utf8');
+    const packageDir = path.posix.dirname(packagePath);
+    
+    const manifest = new Map();
+    for (const match of packageDocument.matchAll(/<item\b[^>]*>/g)) {
+        const item = readAttributes(match[0]);
+        manifest.set(item.id, { ...item, path: resolvePath(packageDir, item.href) });
+    }
+    
+    const spine = [...packageDocument.matchAll(/<itemref\b[^>]*>/g)]
+        .map(match => manifest.get(readAttributes(match[0]).idref))
+        .filter(Boolean)
+        .map(item => ({ path: item.path }));
+    
+    const nav = [...manifest.values()].find(item => (item.properties || '').split(/\s+/).includes('nav'));
+    
+    return { packagePath, packageDocument, manifest, spine, nav };
+}
+
+function resolvePath(base, href) {
+    return path.posix.normalize(path.posix.join(base, decodeURIComponent(href)));
+}
+
+/**
+ * Open an EPUB file
+ * @param {string} filePath - Path of the .epub file
+ * @returns {Promise<Object>} Title, files, spine and table of contents
+ */
+async function openEpub(filePath) {
+    const files = readZipEntries(await fs.readFile(filePath));
+    const { packageDocument, spine, nav } = readPackage(files, filePath);
+    
+    // Table of contents from the EPUB 3 navigation document
+    const toc = [];
+    if (nav && files.has(nav.path)) {
+        const navDocument = files.get(nav.path).toString('utf8');
+        const tocNav = navDocument.match(/<nav\b[^>]*epub:type="toc"[^>]*>([\s\S]*?)<\/nav>/)?.[1] || navDocument;
+        for (const match of tocNav.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/g)) {
+            const href = readAttributes(match[1]).href;
+            if (href) {
+                const [file, fragment] = href.split('#');
+                toc.push({
+                    title: decodeEntities(match[2]),
+                    path: resolvePath(path.posix.dirname(nav.path), file) + (fragment ? `#${fragment}` : '')
+                });
+            }
+        }
+    }
+    
+    return {
+        title: decodeEntities(packageDocument.match(/<dc:title[^>]*>([\s\S]*?)<\/dc:title>/)?.[1] || path.basename(filePath)),
+        files,
+        spine,
+        toc
+    };
+}
+
+module.exports = {
+    readZipEntries,
+    readAttributes,
+    readPackage,
+    openEpub
+};
@@ -0,0 +1,290 @@
+/**
+ * EPUB structure and metadata beyond Pandoc's defaults
+ * The Kindle build marks every section with its epub:type, places page break
+ * markers for a page-list, and gives Pandoc the identifier, series and
+ * subjects. Once Pandoc has written the EPUB, finishEpub() replaces its
+ * landmarks and adds the page-list to the navigation document
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { slugify, scanLines } = require('./manuscript');
+const { getAuthorString } = require('./author-utils');
+const { readZipEntries, writeZipEntries } = require('./zip');
+const { readAttributes, readPackage } = require('./epub-reader');
+const { ConfigError } = require('./errors');
+
+const DEFAULT_WORDS_PER_PAGE = 250;
+
+// epub:type of front and back matter sections, by file name
+const MATTER_TYPES = {
+    dedication: 'dedication',
+    epigraph: 'epigraph',
+    foreword: 'foreword',
+    preface: 'preface',
+    acknowledgements: 'acknowledgments',
+    acknowledgments: 'acknowledgments',
+    afterword: 'afterword',
+    colophon: 'colophon'
+};
+
+// A line that starts a paragraph: not a list item, table caption, image or HTML block
+const PARAGRAPH_PATTERN = /^(?![*+-]\s|\d+[.)]\s|(?:Table)?:\s)[\p{L}\p{N}"'“‘(*_]/u;
+
+/**
+ * Read how many words make a page of the page-list
+ * `kindle.page_list` is true by default, false to leave the page-list out,
+ * or a number of words per page
+ * @param {Object} metadata - Book metadata
+ * @returns {number} Words per page, 0 without a page-list
+ */
+function resolvePageList(metadata) {
+    const setting = metadata.kindle?.page_list ?? true;
+    
+    if (setting === true) {
+        return DEFAULT_WORDS_PER_PAGE;
+    }
+    if (setting === false) {
+        return 0;
+    }
+    if (!Number.isInteger(setting) || setting <= 0) {
+        throw new ConfigError(`Invalid kindle.page_list "${setting}": expected true, false or a number of words per page`);
+    }
+    
+    return setting;
+}
+
+function isValidIsbn(isbn) {
+    const digits = [...isbn].map(digit => (digit === 'X' ? 10 : Number(digit)));
+    
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+        return digits.reduce((sum, digit, index) => sum + digit * (10 - index), 0) % 11 === 0;
+    }
+    if (/^\d{13}$/.test(isbn)) {
+        return digits.reduce((sum, digit, index) => sum + digit * (index % 2 === 0 ? 1 : 3), 0) % 10 === 0;
+    }
+    return false;
+}
+
+/**
+ * Read the identifier of the book: its ISBN, an `identifier` from book.yaml,
+ * or a UUID made from the title and authors, which stays the same from build
+ * to build so readers take a new build for an update of the same book
+ * @param {Object} metadata - Book metadata
+ * @returns {Object} Identifier text, and its scheme for ISBNs
+ */
+function resolveIdentifier(metadata) {
+    if (metadata.isbn) {
+        const isbn = String(metadata.isbn).replace(/[\s-]/g, '').toUpperCase();
+        if (!isValidIsbn(isbn)) {
+            throw new ConfigError(`Invalid isbn "${metadata.isbn}": expected an ISBN-10 or ISBN-13 with a valid check digit`);
+        }
+        return { scheme: `ISBN-${isbn.length}`, text: isbn };
+    }
+    
+    if (metadata.identifier) {
+        return { text: String(metadata.identifier) };
+    }
+    
+    const hash = crypto.createHash('sha1').update(`${metadata.title}\n${getAuthorString(metadata)}`).digest('hex');
+    const variant = ((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16);
+    const uuid = `${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-${variant}${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+    return { text: `urn:uuid:${uuid}` };
+}
+
+/**
+ * Read the series a book belongs to
+ * `series:` in book.yaml is the series title, or a map with title and number
+ * @param {Object} metadata - Book metadata
+ * @returns {Object|null} Series title and number (null when unnumbered), or null
+ */
+function resolveSeries(metadata) {
+    const series = metadata.series;
+    
+    if (series === undefined || series === null || series === '') {
+        return null;
+    }
+    if (typeof series === 'string') {
+        return { title: series, number: null };
+    }
+    if (typeof series !== 'object' || Array.isArray(series) || typeof series.title !== 'string' || !series.title) {
+        throw new ConfigError('Invalid series: expected a title, or a map with title and number');
+    }
+    if (series.number !== undefined && !(typeof series.number === 'number' && series.number > 0)) {
+        throw new ConfigError(`Invalid series.number "${series.number}": expected a positive number`);
+    }
+    
+    return { title: series.title, number: series.number ?? null };
+}
+
+/**
+ * Read the subjects of the book from `kindle.genres`
+ * @param {Object} metadata - Book metadata
+ * @returns {Array<string>} Subjects
+ */
+function resolveSubjects(metadata) {
+    const genres = metadata.kindle?.genres ?? [];
+    
+    if (!Array.isArray(genres) || genres.some(genre => typeof genre !== 'string')) {
+        throw new ConfigError('Invalid kindle.genres: expected a list of genres');
+    }
+    
+    return genres.filter(Boolean);
+}
+
+/**
+ * Mark the first level 1 heading of a section with an epub:type
+ * Pandoc writes the type on the section, and on the body for front and back matter
+ * @param {string} markdown - Pandoc Markdown of one section
+ * @param {string} [type] - epub:type, such as chapter, appendix or preface; none leaves the heading as it is
+ * @returns {Object} Markdown, and the heading's id (null without a level 1 heading)
+ */
+function addEpubType(markdown, type) {
+    const lines = scanLines(markdown);
+    const heading = lines.find(({ text, inCode }) => !inCode && /^#\s/.test(text));
+    if (!heading) {
+        return { markdown, id: null };
+    }
+    
+    const output = lines.map(({ text }) => text);
+    const text = heading.text.trimEnd();
+    const attributes = text.match(/\{([^{}]*)\}$/);
+    const explicitId = attributes && attributes[1].match(/(?:^|\s)#([^\s}]+)/);
+    
+    if (type) {
+        output[heading.line - 1] = attributes
+            ? `${text.slice(0, -1)} epub:type=${type}}`
+            : `${text} {epub:type=${type}}`;
+    }
+    
+    return {
+        markdown: output.join('\n'),
+        id: explicitId ? explicitId[1] : slugify(text.replace(/^#\s+/, '').replace(/\s*\{[^{}]*\}$/, ''))
+    };
+}
+
+/**
+ * Place page break markers for the page-list
+ * A page starts at the first paragraph after every `wordsPerPage` words; the
+ * count carries over from section to section in reading order
+ * @param {string} markdown - Pandoc Markdown of one section
+ * @param {Object} pages - Page count: wordsPerPage, and words and count so far
+ * @returns {string} Markdown
+ */
+function addPageBreaks(markdown, pages) {
+    if (!pages.wordsPerPage) {
+        return markdown;
+    }
+    
+    const lines = scanLines(markdown);
+    return lines.map(({ text, inCode }, index) => {
+        if (inCode || /^\s*</.test(text)) {
+            return text;
+        }
+        
+        let marker = '';
+        const startsParagraph = PARAGRAPH_PATTERN.test(text) && (index === 0 || lines[index - 1].text.trim() === '');
+        if (startsParagraph && pages.words >= pages.count * pages.wordsPerPage) {
+            pages.count++;
+            marker = `<span epub:type="pagebreak" id="page-${pages.count}" role="doc-pagebreak" aria-label="${pages.count}"></span>`;
+        }
+        pages.words += text.split(/\s+/).filter(Boolean).length;
+        
+        return marker + text;
+    }).join('\n');
+}
+
+function replaceNav(navDocument, type, nav) {
+    // Replace Pandoc's nav of this type, or add ours at the end of the body
+    const pattern = new RegExp(`<nav\\b[^>]*epub:type="${type}"[^>]*>[\\s\\S]*?</nav>\\s*`);
+    const cleaned = navDocument.replace(pattern, '');
+    if (!nav) {
+        return cleaned;
+    }
+    
+    return cleaned.includes('</body>')
+        ? cleaned.replace('</body>', `${nav}\n</body>`)
+        : `${cleaned}\n${nav}\n`;
+}
+
+function formatNav(type, title, items) {
+    const links = items.map(item => `    <li><a href="${item.href}"${item.type ? ` epub:type="${item.type}"` : ''}>${item.label}</a></li>`);
+    return [`<nav epub:type="${type}" id="${type}" hidden="hidden">`, `  <h2>${title}</h2>`, '  <ol>', ...links, '  </ol>', '</nav>'].join('\n');
+}
+
+/**
+ * Add landmarks and a page-list to the navigation document of an EPUB
+ * @param {string} filePath - Path of the .epub file, rewritten in place
+ * @param {Object} sections - Ids of the first bodymatter and backmatter headings (either may be null)
+ * @returns {Promise<Object>} Landmarks and number of pages in the page-list
+ */
+async function finishEpub(filePath, sections) {
+    const files = readZipEntries(await fs.readFile(filePath));
+    const { packagePath, packageDocument, spine, nav } = readPackage(files, filePath);
+    if (!nav || !files.has(nav.path)) {
+        throw new Error(`No navigation document found in ${filePath}`);
+    }
+    
+    const navDir = path.posix.dirname(nav.path);
+    let navDocument = files.get(nav.path).toString('utf8');
+    const landmarks = { cover: null, toc: null, bodymatter: null, backmatter: null };
+    const pageList = [];
+    
+    const tocNav = navDocument.match(/<nav\b[^>]*epub:type="toc"[^>]*>/);
+    if (tocNav) {
+        landmarks.toc = `#${readAttributes(tocNav[0]).id || 'toc'}`;
+    }
+    
+    for (const item of spine.filter(entry => entry.path !== nav.path && files.has(entry.path))) {
+        const document = files.get(item.path).toString('utf8');
+        const href = path.posix.relative(navDir, item.path);
+        
+        if (!landmarks.cover && /epub:type="cover"/.test(document)) {
+            landmarks.cover = href;
+        }
+        for (const key of ['bodymatter', 'backmatter']) {
+            if (!landmarks[key] && sections[key] && document.includes(`id="${sections[key]}"`)) {
+                landmarks[key] = `${href}#${sections[key]}`;
+            }
+        }
+        for (const match of document.matchAll(/<span\b[^>]*epub:type="pagebreak"[^>]*>/g)) {
+            const attributes = readAttributes(match[0]);
+            pageList.push({ href: `${href}#${attributes.id}`, label: attributes['aria-label'] || attributes.title });
+        }
+    }
+    
+    const landmarkItems = [
+        { type: 'cover', label: 'Cover', href: landmarks.cover },
+        { type: 'toc', label: 'Table of Contents', href: landmarks.toc },
+        { type: 'bodymatter', label: 'Start of Content', href: landmarks.bodymatter },
+        { type: 'backmatter', label: 'Back Matter', href: landmarks.backmatter }
+    ].filter(item => item.href);
+    
+    navDocument = replaceNav(navDocument, 'landmarks', formatNav('landmarks', 'Landmarks', landmarkItems));
+    navDocument = replaceNav(navDocument, 'page-list', pageList.length > 0 ? formatNav('page-list', 'Pages', pageList) : null);
+    files.set(nav.path, Buffer.from(navDocument));
+    
+    // Reading systems show page navigation for books that declare it
+    if (pageList.length > 0 && !packageDocument.includes('pageNavigation')) {
+        files.set(packagePath, Buffer.from(packageDocument.replace(
+            '</metadata>',
+            '<meta property="schema:accessibilityFeature">pageNavigation</meta>\n</metadata>'
+        )));
+    }
+    
+    await fs.writeFile(filePath, writeZipEntries(files, ['mimetype']));
+    
+    return { landmarks, pages: pageList.length };
+}
+
+module.exports = {
+    MATTER_TYPES,
+    resolvePageList,
+    resolveIdentifier,
+    resolveSeries,
+    resolveSubjects,
+    addEpubType,
+    addPageBreaks,
+    finishEpub
+};
@@ -0,0 +1,129 @@
+/**
+ * Error types for the book generation system
+ * Builders and the validator throw these instead of exiting the process;
+ * only the command line layer turns them into exit codes
+ */
+
+/**
+ * Base class for all expected failures
+ */
+class BookError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options] - Error options
+     * @param {Error} [options.cause] - Underlying error
+     * @param {string} [options.hint] - Suggestion shown to the user
+     * @param {string} [options.file] - Source file the error comes from
+     * @param {number} [options.line] - 1-based line in that file
+     * @param {number} [options.column] - 1-based column in that line
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+        this.hint = options.hint || '';
+        this.file = options.file;
+        this.line = options.line;
+        this.column = options.column;
+        this.exitCode = 1;
+    }
+}
+
+/**
+ * Unknown command, format or missing argument on the command line
+ */
+class UsageError extends BookError {
+    constructor(message, options) {
+        super(message, options);
+        this.exitCode = 2;
+    }
+}
+
+/**
+ * Invalid book metadata, front matter or structure manifest
+ */
+class ConfigError extends BookError {
+    constructor(message, options) {
+        super(message, options);
+        this.exitCode = 3;
+    }
+}
+
+/**
+ * The validator found errors in the book
+ */
+class ValidationError extends BookError {
+    /**
+     * @param {Object} result - Validation result with errors and warnings
+     */
+    constructor(result) {
+        super(`Validation failed with ${result.errors.length} error(s)`);
+        this.result = result;
+        this.exitCode = 4;
+    }
+}
+
+/**
+ * A required external tool such as Pandoc is not installed
+ */
+class DependencyError extends BookError {
+    constructor(message, options) {
+        super(message, options);
+        this.exitCode = 5;
+    }
+}
+
+/**
+ * A format failed to build
+ */
+class BuildError extends BookError {
+    /**
+     * @param {string} format - Format that failed
+     * @param {Error} cause - Underlying error
+     */
+    constructor(format, cause) {
+        super(`Error building ${format} format: ${cause.message}`, { cause, hint: cause.hint });
+        this.format = format;
+        this.exitCode = cause instanceof BookError ? cause.exitCode : 1;
+    }
+}
+
+/**
+ * One or more formats failed in a multi-format build
+ */
+class IncompleteBuildError extends BookError {
+    /**
+     * @param {Object} report - Build report covering every format
+     */
+    constructor(report) {
+        const failed = report.formats.filter(result => result.status === 'failed');
+        super(`${failed.length} of ${report.formats.length} format(s) failed: ${failed.map(result => result.format).join(', ')}`);
+        this.result = report;
+    }
+}
+
+/**
+ * Report an error from a command line entry point and set the exit code
+ * @param {Error} error - Error to report
+ * @param {Object} [options] - Reporting options
+ * @param {boolean} [options.verbose] - Print the stack trace
+ */
+function handleCliError(error, options = {}) {
+    console.error(`❌ ${options.verbose ? error.stack : error.message}`);
+    
+    if (error.hint) {
+        console.error(error.hint);
+    }
+    
+    process.exitCode = error instanceof BookError ? error.exitCode : 1;
+}
+
+module.exports = {
+    BookError,
+    UsageError,
+    ConfigError,
+    ValidationError,
+    DependencyError,
+    BuildError,
+    IncompleteBuildError,
+    handleCliError
+};
@@ -0,0 +1,307 @@
+/**
+ * Footnotes and endnotes
+ * Written as Pandoc notes in the manuscript:
+ *
+ *   Pandoc reads Markdown.[^pandoc] Inline notes work too.^[Like this one.]
+ *
+ *   [^pandoc]: See https://pandoc.org.
+ *
+ * Notes are numbered per chapter and written as HTML with EPUB3 and DPUB-ARIA
+ * semantics, so the web, PDF and EPUB builds share one rendering. `notes:` in
+ * book.yaml places them at the end of each chapter (footnotes) or collects
+ * them at the end of the book (endnotes)
+ */
+
+const { scanLines } = require('./manuscript');
+const { ConfigError } = require('./errors');
+
+const NOTE_STYLES = ['footnotes', 'endnotes'];
+
+// [^label]: text, at the start of a line
+const DEFINITION_PATTERN = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+
+// A code span to leave alone, a [^label] reference or the start of an ^[inline note]
+const REFERENCE_PATTERN = /(`+)[\s\S]*?\1|\[\^([^\]\s]+)\](?!:)|\^\[/g;
+
+// Notes continue on lines indented by four spaces or a tab
+const INDENT_PATTERN = /^(?: {4}|\t)/;
+
+/**
+ * Read where a book places its notes
+ * @param {Object} metadata - Book metadata
+ * @returns {string} footnotes or endnotes
+ */
+function resolveNotes(metadata) {
+    const style = metadata.notes === undefined ? 'footnotes' : metadata.notes;
+    
+    if (!NOTE_STYLES.includes(style)) {
+        throw new ConfigError(`Invalid notes "${style}": expected ${NOTE_STYLES.join(' or ')}`);
+    }
+    
+    return style;
+}
+
+/**
+ * Find the note definitions and references of a chapter
+ * @param {string} markdown - Chapter Markdown
+ * @returns {Object} Body lines without the definitions, definitions by label,
+ * duplicate definitions and references ([^label] and inline notes) in order
+ */
+function parseFootnotes(markdown) {
+    const lines = scanLines(markdown);
+    const body = [];
+    const definitions = new Map();
+    const duplicates = [];
+    const references = [];
+    
+    for (let index = 0; index < lines.length; index++) {
+        const { text, line, inCode } = lines[index];
+        const match = !inCode && text.match(DEFINITION_PATTERN);
+        if (!match) {
+            body.push(lines[index]);
+            continue;
+        }
+        
+        // Indented lines continue the note, across blank lines; so does a lazy paragraph line
+        const content = [match[2]];
+        let next = index + 1;
+        while (next < lines.length) {
+            const following = lines[next].text;
+            let blank = next;
+            while (blank < lines.length && lines[blank].text.trim() === '') {
+                blank++;
+            }
+            
+            if (INDENT_PATTERN.test(following)) {
+                content.push(following.replace(INDENT_PATTERN, ''));
+            } else if (blank > next && blank < lines.length && INDENT_PATTERN.test(lines[blank].text)) {
+                content.push(...lines.slice(next, blank).map(() => ''));
+                next = blank;
+                continue;
+            } else if (following.trim() !== '' && content[content.length - 1].trim() !== '' && !DEFINITION_PATTERN.test(following)) {
+                content.push(following);
+            } else {
+                break;
+            }
+            next++;
+        }
+        
+        const [, label] = match;
+        if (definitions.has(label)) {
+            duplicates.push({ label, line });
+        } else {
+            definitions.set(label, { line, text: content.join('\n').trim() });
+        }
+        index = next - 1;
+    }
+    
+    for (const entry of body) {
+        if (entry.inCode) continue;
+        
+        entry.references = [];
+        forEachReference(entry.text, reference => {
+            entry.references.push(reference);
+            references.push({ ...reference, line: entry.line });
+        });
+    }
+    
+    return { body, definitions, duplicates, references };
+}
+
+/**
+ * Walk the note references of a line
+ * @param {string} text - Line of Markdown
+ * @param {Function} visit - Called with start, end, and label or inline note text
+ */
+function forEachReference(text, visit) {
+    const pattern = new RegExp(REFERENCE_PATTERN.source, 'g');
+    let match;
+    
+    while ((match = pattern.exec(text))) {
+        if (match[2]) {
+            visit({ start: match.index, end: pattern.lastIndex, label: match[2] });
+        } else if (!match[1]) {
+            // ^[...] runs to its matching bracket
+            let depth = 1;
+            let end = pattern.lastIndex;
+            while (end < text.length && depth > 0) {
+                depth += text[end] === '[' ? 1 : text[end] === ']' ? -1 : 0;
+                end++;
+            }
+            if (depth === 0) {
+                visit({ start: match.index, end, inline: text.slice(pattern.lastIndex, end - 1) });
+                pattern.lastIndex = end;
+            }
+        }
+    }
+}
+
+/**
+ * List the note references without a definition and the definitions never referenced
+ * @param {string} markdown - Chapter Markdown
+ * @returns {Object} Missing and unused notes, and duplicate definitions, each with label and line
+ */
+function checkFootnotes(markdown) {
+    const { definitions, duplicates, references } = parseFootnotes(markdown);
+    const labels = new Set(references.filter(reference => reference.label).map(reference => reference.label));
+    
+    return {
+        missing: references
+            .filter(reference => reference.label && !definitions.has(reference.label))
+            .map(({ label, line }) => ({ label, line })),
+        unused: [...definitions].filter(([label]) => !labels.has(label)).map(([label, { line }]) => ({ label, line })),
+        duplicates
+    };
+}
+
+/**
+ * Number the notes of a chapter and replace the references with links
+ * Definitions are taken out of the text; references to missing notes are left as they are
+ * @param {string} markdown - Chapter Markdown
+ * @param {Object} options - Options
+ * @param {string} options.id - Prefix for note ids, unique in the book
+ * @param {string} options.format - html for markdown-it, pandoc for the Pandoc builds
+ * @param {string} [options.notesPage] - Page the notes are on, when it is not this one
+ * @returns {Object} Markdown and its notes, with number, ids and text
+ */
+function extractFootnotes(markdown, options) {
+    const { body, definitions } = parseFootnotes(markdown);
+    const notes = [];
+    const byLabel = new Map();
+    
+    const addNote = text => {
+        const number = notes.length + 1;
+        const note = { number, id: `fn-${options.id}-${number}`, refId: `fnref-${options.id}-${number}`, text };
+        notes.push(note);
+        return note;
+    };
+    
+    const output = body.map(({ text, references }) => {
+        if (!references || references.length === 0) {
+            return text;
+        }
+        
+        let result = '';
+        let position = 0;
+        for (const reference of references) {
+            let note;
+            let first = true;
+            if (reference.inline !== undefined) {
+                note = addNote(reference.inline.trim());
+            } else if (byLabel.has(reference.label)) {
+                note = byLabel.get(reference.label);
+                first = false;
+            } else if (definitions.has(reference.label)) {
+                note = addNote(definitions.get(reference.label).text);
+                byLabel.set(reference.label, note);
+            } else {
+                continue;
+            }
+            
+            result += text.slice(position, reference.start) + formatReference(note, first, options);
+            position = reference.end;
+        }
+        
+        return result + text.slice(position);
+    });
+    
+    return { markdown: output.join('\n'), notes };
+}
+
+function formatReference(note, first, options) {
+    // Later references to the same note share its number; the back-link goes to the first
+    const id = first ? ` id="${note.refId}"` : '';
+    const type = options.format === 'pandoc' ? ' epub:type="noteref"' : '';
+    return `<a class="footnote-ref" href="${options.notesPage || ''}#${note.id}"${id}${type} role="doc-noteref"><sup>${note.number}</sup></a>`;
+}
+
+/**
+ * Write the notes of a chapter as HTML blocks with Markdown inside
+ * Footnotes are <aside> elements, which EPUB readers show as pop-up notes;
+ * endnotes are listed in an endnotes section
+ * @param {Array<Object>} notes - Notes from extractFootnotes
+ * @param {Object} options - Options
+ * @param {string} options.format - html for markdown-it, pandoc for the Pandoc builds
+ * @param {string} options.style - footnotes or endnotes
+ * @param {string} [options.chapterPage] - Page of the references, when it is not this one
+ * @returns {string} Markdown
+ */
+function formatFootnotes(notes, options) {
+    const epubType = type => (options.format === 'pandoc' ? ` epub:type="${type}"` : '');
+    const [section, element, type, role] = options.style === 'endnotes'
+        ? ['endnotes', 'div', 'endnote', '']
+        : ['footnotes', 'aside', 'footnote', ' role="doc-footnote"'];
+    const output = [`<section class="${section}"${epubType(section)} role="doc-endnotes">`, ''];
+    
+    for (const note of notes) {
+        const backLink = `<a class="footnote-back" href="${options.chapterPage || ''}#${note.refId}" role="doc-backlink">${note.number}</a>`;
+        output.push(
+            `<${element} class="${type}" id="${note.id}"${epubType(type)}${role}>`,
+            '',
+            `${backLink} ${note.text}`,
+            '',
+            `</${element}>`,
+            ''
+        );
+    }
+    
+    output.push('</section>');
+    return output.join('\n');
+}
+
+/**
+ * Number the notes of a chapter and place them for the book's note style
+ * Footnotes are added to the end of the chapter; endnotes are returned for formatEndnotes
+ * @param {string} markdown - Chapter Markdown
+ * @param {Object} options - Options for extractFootnotes, plus style
+ * @returns {Object} Markdown, and the notes left to place at the end of the book
+ */
+function placeFootnotes(markdown, options) {
+    const { markdown: text, notes } = extractFootnotes(markdown, options);
+    
+    if (notes.length === 0 || options.style === 'endnotes') {
+        return { markdown: text, notes };
+    }
+    
+    return { markdown: `${text}\n\n${formatFootnotes(notes, options)}\n`, notes: [] };
+}
+
+/**
+ * Write the endnotes of a book, grouped by chapter under an unnumbered Notes heading
+ * @param {Array<Object>} chapters - Chapters with title, id, notes and, for the web, page
+ * @param {Object} options - Options
+ * @param {string} options.format - html for markdown-it, pandoc for the Pandoc builds
+ * @param {number} [options.level] - Level of the Notes heading, 1 by default; 0 leaves it out
+ * @returns {string} Markdown, empty when the book has no notes
+ */
+function formatEndnotes(chapters, options) {
+    const withNotes = chapters.filter(chapter => chapter.notes.length > 0);
+    const level = options.level ?? 1;
+    
+    if (withNotes.length === 0) {
+        return '';
+    }
+    
+    const output = level > 0 ? [`${'#'.repeat(level)} Notes {#notes .unnumbered}`, ''] : [];
+    for (const chapter of withNotes) {
+        output.push(
+            `${'#'.repeat(Math.max(level, 1) + 1)} ${chapter.title} {#notes-${chapter.id} .unnumbered}`,
+            '',
+            formatFootnotes(chapter.notes, { ...options, style: 'endnotes', chapterPage: chapter.page }),
+            ''
+        );
+    }
+    
+    return output.join('\n');
+}
+
+module.exports = {
+    NOTE_STYLES,
+    resolveNotes,
+    parseFootnotes,
+    checkFootnotes,
+    extractFootnotes,
+    formatFootnotes,
+    placeFootnotes,
+    formatEndnotes
+};
@@ -0,0 +1,105 @@
+/**
+ * Lists of figures and tables
+ * Turned on under `lists:` in book.yaml, for the web, PDF and Kindle builds:
+ *
+ *   lists:
+ *     figures: true   # List of Figures
+ *     tables: true    # List of Tables
+ *
+ * Every entry links back to its figure or table. A list with no entries is left out
+ */
+
+const { scanLines } = require('./manuscript');
+const { findFigures, findTables, formatCaption } = require('./numbering');
+const { ConfigError } = require('./errors');
+
+const LISTS = [
+    { key: 'figures', title: 'List of Figures', slug: 'list-of-figures' },
+    { key: 'tables', title: 'List of Tables', slug: 'list-of-tables' }
+];
+
+/**
+ * Read which lists a book asks for
+ * @param {Object} metadata - Book metadata
+ * @returns {Object} figures and tables, true for the lists to generate
+ */
+function resolveLists(metadata) {
+    const lists = metadata.lists === undefined ? {} : metadata.lists;
+    
+    if (typeof lists === 'boolean') {
+        return { figures: lists, tables: lists };
+    }
+    if (lists === null || typeof lists !== 'object' || Array.isArray(lists)) {
+        throw new ConfigError('Invalid lists setting: expected true, false or a map with figures and tables');
+    }
+    
+    for (const [key, value] of Object.entries(lists)) {
+        if (!LISTS.some(list => list.key === key)) {
+            throw new ConfigError(`Unknown list "${key}": expected ${LISTS.map(list => list.key).join(' or ')}`);
+        }
+        if (typeof value !== 'boolean') {
+            throw new ConfigError(`Invalid lists.${key} "${value}": expected true or false`);
+        }
+    }
+    
+    return { figures: lists.figures === true, tables: lists.tables === true };
+}
+
+/**
+ * Collect the entries of the lists a book asks for
+ * Entries use the ids numbering.number() gives figures and tables
+ * @param {Object} book - Book model from loadBook
+ * @param {Object} numbering - Numbering from createNumbering
+ * @returns {Array<Object>} Lists with key, title, slug and entries (file, id and text)
+ */
+function collectLists(book, numbering) {
+    const enabled = resolveLists(book.metadata);
+    const lists = LISTS.filter(list => enabled[list.key]).map(list => ({ ...list, entries: [] }));
+    const figures = lists.find(list => list.key === 'figures');
+    const tables = lists.find(list => list.key === 'tables');
+    
+    for (const chapter of book.chapters) {
+        const lines = scanLines(chapter.body);
+        const numbers = numbering.number(chapter.body, chapter.file);
+        
+        if (figures) {
+            for (const figure of findFigures(lines)) {
+                figures.entries.push({
+                    file: chapter.file,
+                    id: numbers.anchors.get(figure.line),
+                    text: formatCaption('Figure', numbers.figures.get(figure.line), figure.caption)
+                });
+            }
+        }
+        
+        if (tables) {
+            for (const { caption } of findTables(lines).filter(table => table.caption)) {
+                tables.entries.push({
+                    file: chapter.file,
+                    id: numbers.anchors.get(caption.line),
+                    text: formatCaption('Table', numbers.tables.get(caption.line), caption.text)
+                });
+            }
+        }
+    }
+    
+    return lists.filter(list => list.entries.length > 0);
+}
+
+/**
+ * Write a list as Markdown: an unnumbered heading and a bullet list of links
+ * @param {Object} list - List from collectLists
+ * @param {Function} linkTo - Link for an entry
+ * @returns {string} Markdown
+ */
+function toListMarkdown(list, linkTo) {
+    const entries = list.entries.map(entry => `- [${entry.text.replace(/([[\]])/g, '\\$1')}](${linkTo(entry)})`);
+    return [`# ${list.title} {#${list.slug} .unnumbered}`, '', ...entries, ''].join('\n');
+}
+
+module.exports = {
+    LISTS,
+    resolveLists,
+    collectLists,
+    toListMarkdown
+};
@@ -0,0 +1,122 @@
+/**
+ * Live reload for the development server
+ * Pushes events to open pages over Server-Sent Events and injects the
+ * browser client into every HTML page it serves
+ */
+
+const express = require('express');
+const fs = require('fs-extra');
+const path = require('path');
+
+const EVENTS_PATH = '/__livereload';
+const CLIENT_PATH = '/__livereload.js';
+const CLIENT_SCRIPT = path.join(__dirname, '..', 'config', 'livereload.js');
+
+/**
+ * Add the live reload client script to an HTML page
+ * @param {string} html - Page HTML
+ * @returns {string} Page HTML with the client script before </body>
+ */
+function injectClient(html) {
+    const script = `<script src="${CLIENT_PATH}"></script>`;
+    
+    return html.includes('</body>')
+        ? html.replace('</body>', `${script}\n</body>`)
+        : `${html}\n${script}`;
+}
+
+/**
+ * Create the live reload routes for a site directory
+ * @param {string} outDir - Directory the dev server serves
+ * @returns {Object} Express router, notify(event, data) and close()
+ */
+function createLiveReload(outDir) {
+    const router = express.Router();
+    const clients = new Set();
+    const root = path.resolve(outDir);
+    let buildError = null;
+    
+    const formatEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    
+    // Event stream that open pages subscribe to
+    router.get(EVENTS_PATH, (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+        res.write('retry: 1000\n\n');
+        
+        // Pages opened while the build is broken show the error straight away
+        if (buildError) {
+            res.write(formatEvent('build-error', buildError));
+        }
+        
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+    });
+    
+    router.get(CLIENT_PATH, (req, res) => {
+        res.sendFile(CLIENT_SCRIPT);
+    });
+    
+    // Serve HTML pages with the client script added before </body>
+    router.get(/(\/|\.html)$/, async (req, res, next) => {
+        try {
+            const requested = decodeURIComponent(req.path);
+            const filePath = path.join(root, requested.endsWith('/') ? `${requested}index.html` : requested);
+            
+            // Only files inside the output directory, not in folders next to it
+            const relative = path.relative(root, filePath);
+            if (relative.startsWith('..') || path.isAbsolute(relative) || !await fs.pathExists(filePath)) {
+                return next();
+            }
+            
+            res.type('html').send(injectClient(await fs.readFile(filePath, 'utf8')));
+        } catch (error) {
+            // Express 4 does not catch rejections of async handlers
+            next(error);
+        }
+    });
+    
+    return {
+        router,
+        
+        /**
+         * Send an event to every open page
+         * @param {string} event - Event name: reload, css or build-error
+         * @param {Object} [data] - Event payload
+         */
+        notify(event, data = {}) {
+            const message = formatEvent(event, data);
+            clients.forEach(res => res.write(message));
+        },
+        
+        /**
+         * Show a build error overlay on every open page until the next successful build
+         * @param {Object} error - Error description from describeError
+         */
+        showError(error) {
+            buildError = error;
+            this.notify('build-error', error);
+        },
+        
+        /**
+         * Forget the build error after a successful build; the reload that follows clears the overlay
+         */
+        clearError() {
+            buildError = null;
+        },
+        
+        close() {
+            clients.forEach(res => res.end());
+            clients.clear();
+        }
+    };
+}
+
+module.exports = {
+    createLiveReload,
+    injectClient
+};
@@ -0,0 +1,541 @@
+/**
+ * Manuscript loader for the book generation system
+ * Reads book metadata and chapters once and parses them into a book model
+ * that every builder, the validator and the word counter consume
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('yaml');
+const matter = require('gray-matter');
+const { ConfigError } = require('./errors');
+
+const DEFAULT_SOURCE_DIR = 'src';
+const CHAPTER_STATUSES = ['draft', 'review', 'final'];
+
+// Conventional order of front and back matter sections, by file name without .md
+const MATTER_ORDER = {
+    frontmatter: ['dedication', 'epigraph', 'foreword', 'preface', 'acknowledgements', 'acknowledgments'],
+    backmatter: ['afterword', 'acknowledgements', 'acknowledgments', 'about-the-author', 'about-the-authors', 'colophon']
+};
+
+/**
+ * Turn heading text into an anchor id
+ * Follows Pandoc's auto identifier rules so the web, PDF and EPUB builds
+ * link to the same anchors
+ * @param {string} text - Heading text
+ * @returns {string} Anchor id
+ */
+function slugify(text) {
+    const slug = String(text)
+        .replace(/<[^>]+>/g, '') // Remove inline HTML
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1') // Keep link and image text only
+        .replace(/[*_`~]/g, '') // Remove emphasis and code markers
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_.-]/gu, '')
+        .replace(/\s+/g, '-')
+        .replace(/^[^\p{L}]+/u, '');
+    
+    return slug || 'section';
+}
+
+/**
+ * Path of the book metadata file
+ * @param {string} [sourceDir] - Manuscript source directory
+ * @param {string} [configFile] - Explicit metadata file, overrides the default
+ * @returns {string} Metadata file path
+ */
+function getMetadataPath(sourceDir = DEFAULT_SOURCE_DIR, configFile) {
+    return configFile || path.join(sourceDir, 'metadata', 'book.yaml');
+}
+
+/**
+ * Read and parse src/metadata/book.yaml
+ * @param {string} [sourceDir] - Manuscript source directory
+ * @param {string} [configFile] - Explicit metadata file, overrides the default
+ * @returns {Promise<Object>} Book metadata
+ */
+async function loadMetadata(sourceDir = DEFAULT_SOURCE_DIR, configFile) {
+    const metadataPath = getMetadataPath(sourceDir, configFile);
+    
+    if (!await fs.pathExists(metadataPath)) {
+        throw new ConfigError(`Book metadata file not found: ${metadataPath}`);
+    }
+    
+    try {
+        return yaml.parse(await fs.readFile(metadataPath, 'utf8')) || {};
+    } catch (error) {
+        const position = error.linePos?.[0];
+        throw new ConfigError(`Invalid YAML in ${metadataPath}${position ? ` at line ${position.line}` : ''}: ${describeYAMLError(error)}`, {
+            cause: error,
+            file: metadataPath,
+            line: position?.line,
+            column: position?.col
+        });
+    }
+}
+
+/**
+ * Reduce a YAML parser error to its reason, without the parser's own position and excerpt
+ * @param {Error} error - Error from the yaml or js-yaml parser
+ * @returns {string} Reason
+ */
+function describeYAMLError(error) {
+    return error.reason || error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '');
+}
+
+/**
+ * List chapter files in reading order
+ * @param {string} [sourceDir] - Manuscript source directory
+ * @returns {Promise<Array<string>>} Chapter file names
+ */
+async function findChapterFiles(sourceDir = DEFAULT_SOURCE_DIR) {
+    const chaptersDir = path.join(sourceDir, 'chapters');
+    
+    if (!await fs.pathExists(chaptersDir)) {
+        return [];
+    }
+    
+    const files = await fs.readdir(chaptersDir);
+    return files
+        .filter(file => file.endsWith('.md'))
+        .sort();
+}
+
+/**
+ * List front or back matter files in reading order
+ * Known sections such as dedication, preface or colophon follow the usual book
+ * order; other files come after them, sorted by name
+ * @param {string} [sourceDir] - Manuscript source directory
+ * @param {string} matter - frontmatter or backmatter
+ * @returns {Promise<Array<string>>} File names in src/frontmatter or src/backmatter
+ */
+async function findMatterFiles(sourceDir = DEFAULT_SOURCE_DIR, matter) {
+    const matterDir = path.join(sourceDir, matter);
+    
+    if (!await fs.pathExists(matterDir)) {
+        return [];
+    }
+    
+    const position = file => {
+        const index = MATTER_ORDER[matter].indexOf(file.replace(/\.md$/, ''));
+        return index === -1 ? MATTER_ORDER[matter].length : index;
+    };
+    
+    return (await fs.readdir(matterDir))
+        .filter(file => file.endsWith('.md'))
+        .sort((a, b) => position(a) - position(b) || a.localeCompare(b));
+}
+
+/**
+ * Normalise a chapter reference from the structure manifest to a file name
+ * @param {string|Object} entry - File name, with or without .md, or { file }
+ * @returns {string} Chapter file name
+ */
+function normaliseChapterEntry(entry) {
+    const file = typeof entry === 'string' ? entry : entry?.file || '';
+    return file.endsWith('.md') ? file : `${file}.md`;
+}
+
+/**
+ * Resolve reading order, parts and appendices
+ * Without a `structure:` section in book.yaml the filename sort order is used
+ * @param {Object} metadata - Book metadata
+ * @param {Array<string>} chapterFiles - Chapter files found on disk
+ * @returns {Object} Ordered entries, parts, and missing/unlisted files
+ */
+function resolveStructure(metadata, chapterFiles) {
+    const structure = metadata.structure;
+    
+    if (!structure) {
+        return {
+            entries: chapterFiles.map(file => ({ file, role: 'chapter', part: null })),
+            parts: [],
+            missing: [],
+            unlisted: []
+        };
+    }
+    
+    const entries = [];
+    const parts = [];
+    
+    (structure.chapters || []).forEach(entry => {
+        entries.push({ file: normaliseChapterEntry(entry), role: 'chapter', part: null });
+    });
+    
+    (structure.parts || []).forEach((partConfig, index) => {
+        const part = {
+            number: index + 1,
+            title: partConfig.title || `Part ${index + 1}`,
+            slug: partConfig.slug || `part-${index + 1}`,
+            description: partConfig.description || ''
+        };
+        parts.push(part);
+        
+        (partConfig.chapters || []).forEach(entry => {
+            entries.push({ file: normaliseChapterEntry(entry), role: 'chapter', part });
+        });
+    });
+    
+    (structure.appendices || []).forEach(entry => {
+        entries.push({ file: normaliseChapterEntry(entry), role: 'appendix', part: null });
+    });
+    
+    const listed = new Set(entries.map(entry => entry.file));
+    
+    return {
+        entries: entries.filter(entry => chapterFiles.includes(entry.file)),
+        parts,
+        missing: [...listed].filter(file => !chapterFiles.includes(file)),
+        unlisted: chapterFiles.filter(file => !listed.has(file))
+    };
+}
+
+/**
+ * Split Markdown into lines, flagging the ones inside fenced code blocks
+ * @param {string} content - Markdown content
+ * @returns {Array<Object>} Lines with their fence state
+ */
+function scanLines(content) {
+    const lines = content.split('\n');
+    let fence = null;
+    
+    return lines.map((text, index) => {
+        const fenceMatch = text.match(/^\s*(`{3,}|~{3,})\s*([^\s`{]*)?/);
+        
+        if (fence) {
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                fence = null;
+            }
+            return { text, line: index + 1, inCode: true };
+        }
+        
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            return { text, line: index + 1, inCode: true, fenceStart: true, language: fenceMatch[2] || '' };
+        }
+        
+        return { text, line: index + 1, inCode: false };
+    });
+}
+
+/**
+ * Extract ATX headings, ignoring anything inside code blocks
+ * @param {Array<Object>} lines - Scanned lines
+ * @returns {Array<Object>} Headings with level, title, anchor, whether the anchor is an explicit {#id}, and line
+ */
+function extractHeadings(lines) {
+    const seen = {};
+    const headings = [];
+    
+    for (const { text, line, inCode } of lines) {
+        if (inCode) continue;
+        
+        const match = text.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (!match) continue;
+        
+        // Pandoc attributes such as {#id}, {-} or {.unnumbered} are not part of the title
+        const title = match[2].replace(/\s*\{[^}]*\}\s*$/, '').trim();
+        const explicitId = match[2].match(/\{(?:[^}]*\s)?#([^}\s]+)[^}]*\}\s*$/);
+        let anchor = explicitId ? explicitId[1] : slugify(title);
+        
+        if (seen[anchor] !== undefined) {
+            seen[anchor] += 1;
+            anchor = `${anchor}-${seen[anchor]}`;
+        } else {
+            seen[anchor] = 0;
+        }
+        
+        headings.push({
+            level: match[1].length,
+            title,
+            anchor,
+            labelled: Boolean(explicitId),
+            line
+        });
+    }
+    
+    return headings;
+}
+
+/**
+ * Extract image references, ignoring anything inside code blocks
+ * @param {Array<Object>} lines - Scanned lines
+ * @returns {Array<Object>} Images with alt text, source and line
+ */
+function extractImages(lines) {
+    const images = [];
+    
+    for (const { text, line, inCode } of lines) {
+        if (inCode) continue;
+        
+        for (const match of text.matchAll(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g)) {
+            images.push({
+                alt: match[1],
+                src: match[2],
+                title: match[3] || '',
+                line
+            });
+        }
+    }
+    
+    return images;
+}
+
+/**
+ * Extract fenced code blocks
+ * @param {Array<Object>} lines - Scanned lines
+ * @returns {Array<Object>} Code blocks with language, code and line
+ */
+function extractCodeBlocks(lines) {
+    const blocks = [];
+    let current = null;
+    
+    for (const entry of lines) {
+        if (entry.fenceStart) {
+            current = { language: entry.language, code: [], line: entry.line };
+            blocks.push(current);
+        } else if (current && entry.inCode) {
+            current.code.push(entry.text);
+        } else {
+            current = null;
+        }
+    }
+    
+    return blocks.map(block => ({
+        ...block,
+        // Drop the closing fence
+        code: block.code.slice(0, -1).join('\n')
+    }));
+}
+
+/**
+ * Make the chapter's level 1 heading match the front matter title
+ * Rewrites the first # heading, or adds one when the body has none
+ * @param {string} body - Markdown body without front matter
+ * @param {string} title - Title from front matter
+ * @returns {string} Markdown body with the title heading
+ */
+function applyTitle(body, title) {
+    const lines = scanLines(body);
+    const titleLine = lines.find(({ text, inCode }) => !inCode && /^#\s+/.test(text));
+    
+    if (!titleLine) {
+        return `# ${title}\n\n${body}`;
+    }
+    
+    const attributes = titleLine.text.match(/\s*\{[^}]*\}\s*$/);
+    const rawLines = body.split('\n');
+    rawLines[titleLine.line - 1] = `# ${title}${attributes ? attributes[0] : ''}`;
+    return rawLines.join('\n');
+}
+
+/**
+ * Normalise front matter authors to a list of names
+ * @param {string|Array} authors - Author name(s) from front matter
+ * @returns {Array<string>} Author names
+ */
+function normaliseAuthors(authors) {
+    if (!authors) {
+        return [];
+    }
+    
+    const list = Array.isArray(authors) ? authors : String(authors).split(/\s*[&,]\s*/);
+    return list
+        .map(author => (typeof author === 'object' ? author.name : String(author)).trim())
+        .filter(name => name.length > 0);
+}
+
+/**
+ * Resolve a chapter's workflow status from its front matter
+ * `draft: true` is shorthand for `status: draft`; chapters without either are final
+ * @param {Object} frontMatter - Chapter front matter
+ * @returns {string} One of draft, review or final
+ */
+function resolveStatus(frontMatter) {
+    if (frontMatter.draft === true) {
+        return 'draft';
+    }
+    
+    const status = String(frontMatter.status || '').toLowerCase();
+    return CHAPTER_STATUSES.includes(status) ? status : 'final';
+}
+
+/**
+ * Parse a chapter file into the chapter model
+ * Front matter is parsed and removed from the body; its title, slug and
+ * description take precedence over values derived from the file
+ * @param {string} filePath - Path to the Markdown file
+ * @returns {Promise<Object>} Chapter model
+ */
+async function parseChapter(filePath) {
+    const file = path.basename(filePath);
+    const content = await fs.readFile(filePath, 'utf8');
+    
+    let parsed;
+    try {
+        parsed = matter(content);
+    } catch (error) {
+        // YAML positions are relative to the front matter, which starts after the opening ---
+        const line = error.mark ? error.mark.line + 1 : undefined;
+        throw new ConfigError(`Invalid front matter in ${file}${line ? ` at line ${line}` : ''}: ${describeYAMLError(error)}`, {
+            cause: error,
+            file: filePath,
+            line,
+            column: error.mark ? error.mark.column + 1 : undefined
+        });
+    }
+    const { data: frontMatter, content: source } = parsed;
+    
+    let body = source.replace(/^\s*\n/, '');
+    if (frontMatter.title) {
+        body = applyTitle(body, String(frontMatter.title));
+    }
+    
+    const lines = scanLines(body);
+    const headings = extractHeadings(lines);
+    const titleHeading = headings.find(heading => heading.level === 1);
+    const slug = frontMatter.slug ? slugify(frontMatter.slug) : file.replace(/\.md$/, '');
+    
+    return {
+        file,
+        path: filePath,
+        slug,
+        number: file.match(/^(\d+)/)?.[1] || null,
+        title: titleHeading ? titleHeading.title : slug,
+        subtitle: frontMatter.subtitle || '',
+        description: frontMatter.description || '',
+        authors: normaliseAuthors(frontMatter.authors),
+        tags: [].concat(frontMatter.tags || []).map(String),
+        status: resolveStatus(frontMatter),
+        draft: resolveStatus(frontMatter) === 'draft',
+        sample: frontMatter.sample === true,
+        anchor: titleHeading ? titleHeading.anchor : slugify(slug),
+        content,
+        body,
+        frontMatter,
+        headings,
+        images: extractImages(lines),
+        codeBlocks: extractCodeBlocks(lines)
+    };
+}
+
+/**
+ * Chapter Markdown for the Pandoc-based builders
+ * Places the front matter subtitle as a styled div under the chapter title
+ * @param {Object} chapter - Chapter model
+ * @returns {string} Markdown body
+ */
+function toPandocMarkdown(chapter) {
+    if (!chapter.subtitle) {
+        return chapter.body;
+    }
+    
+    const titleHeading = chapter.headings.find(heading => heading.level === 1);
+    const lines = chapter.body.split('\n');
+    lines.splice(titleHeading ? titleHeading.line : 0, 0, '', '::: chapter-subtitle', chapter.subtitle, ':::', '');
+    return lines.join('\n');
+}
+
+/**
+ * Load the whole manuscript into a book model
+ * Draft chapters are left out unless includeDrafts is set
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.sourceDir] - Manuscript source directory
+ * @param {string} [options.configFile] - Metadata file, defaults to <sourceDir>/metadata/book.yaml
+ * @param {boolean} [options.includeDrafts] - Keep chapters with draft status
+ * @returns {Promise<Object>} Book model with metadata, parts, chapters in reading order, and front and back matter
+ */
+async function loadBook(options = {}) {
+    const sourceDir = options.sourceDir || DEFAULT_SOURCE_DIR;
+    const metadata = await loadMetadata(sourceDir, options.configFile);
+    const chapterFiles = await findChapterFiles(sourceDir);
+    const structure = resolveStructure(metadata, chapterFiles);
+    
+    if (structure.missing.length > 0) {
+        throw new ConfigError(`Chapter listed in structure not found: ${structure.missing.join(', ')}`);
+    }
+    
+    const chapters = [];
+    const skippedDrafts = [];
+    for (const entry of structure.entries) {
+        const chapter = await parseChapter(path.join(sourceDir, 'chapters', entry.file));
+        chapter.role = entry.role;
+        chapter.part = entry.part;
+        
+        if (chapter.draft && !options.includeDrafts) {
+            skippedDrafts.push(chapter.file);
+            continue;
+        }
+        
+        chapters.push(chapter);
+    }
+    
+    const parts = structure.parts.map(part => ({
+        ...part,
+        chapters: chapters.filter(chapter => chapter.part === part)
+    }));
+    
+    // Dedication, preface, colophon and the like from src/frontmatter and src/backmatter
+    const matter = {};
+    for (const role of Object.keys(MATTER_ORDER)) {
+        matter[role] = [];
+        for (const file of await findMatterFiles(sourceDir, role)) {
+            const section = await parseChapter(path.join(sourceDir, role, file));
+            section.role = role;
+            section.part = null;
+            
+            if (section.draft && !options.includeDrafts) {
+                skippedDrafts.push(`${role}/${file}`);
+                continue;
+            }
+            
+            matter[role].push(section);
+        }
+    }
+    
+    return {
+        sourceDir,
+        chaptersDir: path.join(sourceDir, 'chapters'),
+        imagesDir: path.join(sourceDir, 'images'),
+        metadata,
+        parts,
+        chapters,
+        frontMatter: matter.frontmatter,
+        backMatter: matter.backmatter,
+        skippedDrafts
+    };
+}
+
+/**
+ * Check whether a chapter opens its part, i.e. needs a part divider before it
+ * @param {Object} chapter - Chapter model
+ * @param {Object} book - Book model
+ * @returns {boolean} True for the first chapter of a part
+ */
+function isFirstInPart(chapter, book) {
+    if (!chapter.part) {
+        return false;
+    }
+    
+    const part = book.parts.find(p => p.number === chapter.part.number);
+    return Boolean(part) && part.chapters[0] === chapter;
+}
+
+module.exports = {
+    CHAPTER_STATUSES,
+    DEFAULT_SOURCE_DIR,
+    slugify,
+    getMetadataPath,
+    loadMetadata,
+    findChapterFiles,
+    findMatterFiles,
+    resolveStructure,
+    scanLines,
+    extractHeadings,
+    parseChapter,
+    toPandocMarkdown,
+    loadBook,
+    isFirstInPart
+};
@@ -0,0 +1,232 @@
+/**
+ * Markdown to Markua conversion for the Leanpub build
+ * Rewrites image paths and attributes, code fence attributes, admonitions
+ * and links between chapters so the manuscript builds cleanly on Leanpub
+ */
+
+const { scanLines, extractHeadings } = require('./manuscript');
+const { toLeanpubAdmonitions } = require('./admonitions');
+const { buildReferenceIndex, resolveReferences } = require('./cross-references');
+const { FIGURE_PATTERN, findFigures, findTables, formatCaption, createNumbering } = require('./numbering');
+
+// Leanpub reads images from manuscript/resources; Markua paths are relative to it
+const RESOURCES_DIR = 'resources';
+
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g;
+const LINK_PATTERN = /(?<!!)\[([^\]]*)\]\(([^)\s]+)\)/g;
+const FENCE_PATTERN = /^(\s*)(`{3,}|~{3,})\s*(.*)$/;
+
+/**
+ * Write a Markua attribute list
+ * @param {Object} attributes - Attribute names and values
+ * @returns {string} Attribute list such as {format: python, caption: "Hello world"}
+ */
+function formatAttributes(attributes) {
+    const list = Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([name, value]) => {
+            // Words and booleans stay bare, any other text is quoted
+            const text = String(value);
+            return `${name}: ${/^[\w-]+$/.test(text) ? text : JSON.stringify(text)}`;
+        });
+    
+    return list.length > 0 ? `{${list.join(', ')}}` : '';
+}
+
+/**
+ * Read the language and attributes of a fenced code block
+ * Accepts ```python title="app.py" and Pandoc's ```{.python caption="app.py" .numberLines}
+ * @param {string} info - Text after the opening fence
+ * @returns {Object} Markua attributes: format, caption and line-numbers
+ */
+function parseFenceInfo(info) {
+    const attributes = {};
+    const text = info.trim().replace(/^\{(.*)\}$/, '$1');
+    
+    for (const [, name, quoted, bare] of text.matchAll(/([.#]?[^\s=]+)(?:=(?:"([^"]*)"|(\S+)))?/g)) {
+        const value = quoted ?? bare;
+        
+        if (value !== undefined) {
+            if (name === 'title' || name === 'caption') {
+                attributes.caption = value;
+            }
+        } else if (name === '.numberLines' || name === 'linenos') {
+            attributes['line-numbers'] = true;
+        } else if (!attributes.format && !name.startsWith('#')) {
+            attributes.format = name.replace(/^\./, '');
+        }
+    }
+    
+    return attributes;
+}
+
+/**
+ * Rewrite a manuscript image path to a Markua resource path
+ * @param {string} src - Image path from the chapter, e.g. ../images/cover.jpg
+ * @returns {string} Path relative to manuscript/resources
+ */
+function toResourcePath(src) {
+    if (/^[a-z]+:/i.test(src)) {
+        return src;
+    }
+    
+    return src.replace(/^(\.\.\/)+/, '').replace(/^(\.\/)?(src\/)?/, '');
+}
+
+/**
+ * Turn an anchor or label into a Markua id, which allows letters, digits, - and _ only
+ * @param {string} anchor - Anchor or label, e.g. fig:arch
+ * @returns {string} Markua id, e.g. fig-arch
+ */
+function toMarkuaId(anchor) {
+    return anchor.replace(/[^\w-]/g, '-');
+}
+
+/**
+ * Create a converter for the chapters of a book
+ * Headings that links point to and labelled headings, figures and tables get Markua ids,
+ * so links and @ref() cross-references work across chapter files
+ * @param {Object} book - Book model from loadBook
+ * @returns {Object} Converter with convert(chapter) and the warnings it collected
+ */
+function createMarkuaConverter(book) {
+    const sections = [...book.frontMatter, ...book.chapters, ...book.backMatter];
+    const chapterAnchors = new Map(sections.map(chapter => [chapter.file, chapter.anchor]));
+    const numbering = createNumbering(book);
+    const references = buildReferenceIndex(book);
+    const warnings = references.unresolved.map(({ label, file, line }) => `Unresolved reference @ref(${label}) in ${file} at line ${line}`);
+    const usedIds = new Set();
+    
+    const resolveLink = (href) => {
+        const [file, fragment] = href.split('#');
+        if (!file) {
+            return fragment ? `#${toMarkuaId(fragment)}` : href;
+        }
+        
+        const anchor = chapterAnchors.get(file.replace(/^\.\//, ''));
+        return anchor ? `#${toMarkuaId(fragment || anchor)}` : href;
+    };
+    
+    // Every chapter title and label, plus every heading a link points to
+    const referenced = new Set([...sections.map(chapter => chapter.anchor), ...references.targets.keys()].map(toMarkuaId));
+    for (const chapter of sections) {
+        for (const { text, inCode } of scanLines(chapter.body)) {
+            if (inCode) continue;
+            
+            for (const match of text.matchAll(LINK_PATTERN)) {
+                const target = resolveLink(match[2]);
+                if (target.startsWith('#')) {
+                    referenced.add(target.slice(1));
+                }
+            }
+        }
+    }
+    
+    const convertImages = (text, figure, number) => {
+        // An image on its own line is a block image: label, alt text and numbered caption become attributes
+        const image = text.match(FIGURE_PATTERN);
+        if (image) {
+            const [, indent, alt, src] = image;
+            const attributes = formatAttributes({
+                id: figure?.label && toMarkuaId(figure.label),
+                alt,
+                caption: figure && formatCaption('Figure', number, figure.caption)
+            });
+            return [
+                ...(attributes ? [`${indent}${attributes}`] : []),
+                `${indent}![](${toResourcePath(src)})`
+            ];
+        }
+        
+        return [text.replace(IMAGE_PATTERN, (match, alt, src) => `![${alt}](${toResourcePath(src)})`)];
+    };
+    
+    return {
+        warnings,
+        
+        /**
+         * Convert a chapter body to Markua
+         * @param {Object} chapter - Chapter model, with the body plugins may have changed
+         * @returns {string} Markua text
+         */
+        convert(chapter) {
+            const body = resolveReferences(chapter.body, references, target => `#${toMarkuaId(target.label)}`);
+            const lines = scanLines(body);
+            const numbers = numbering.number(body, chapter.file);
+            const headingsByLine = new Map(extractHeadings(lines).map(heading => [heading.line, heading]));
+            const figuresByLine = new Map(findFigures(lines).map(figure => [figure.line, figure]));
+            const output = [];
+            
+            // Pandoc table captions move to an attribute list before the table
+            const tableAttributes = new Map();
+            const captionLines = new Set();
+            for (const { start, caption } of findTables(lines)) {
+                if (caption) {
+                    captionLines.add(caption.line);
+                    const number = numbers.tables.get(caption.line);
+                    tableAttributes.set(start, formatAttributes({
+                        id: caption.label && toMarkuaId(caption.label),
+                        caption: formatCaption('Table', number, caption.text)
+                    }));
+                }
+            }
+            
+            for (const { text, line, inCode, fenceStart } of lines) {
+                if (fenceStart) {
+                    const [, indent, fence, info] = text.match(FENCE_PATTERN);
+                    const listing = parseFenceInfo(info);
+                    if (numbers.listings.has(line)) {
+                        listing.caption = `Listing ${numbers.listings.get(line)}: ${listing.caption}`;
+                    }
+                    const attributes = formatAttributes(listing);
+                    output.push(...(attributes ? [`${indent}${attributes}`] : []), `${indent}${fence}`);
+                    continue;
+                }
+                
+                if (inCode) {
+                    output.push(text);
+                    continue;
+                }
+                
+                if (captionLines.has(line)) {
+                    continue;
+                }
+                if (tableAttributes.has(line)) {
+                    output.push(tableAttributes.get(line));
+                }
+                
+                const heading = headingsByLine.get(line);
+                if (heading) {
+                    // Markua puts the id in an attribute list before the heading
+                    const id = toMarkuaId(heading.anchor);
+                    if (referenced.has(id)) {
+                        if (usedIds.has(id)) {
+                            warnings.push(`Duplicate heading id "${id}" in ${chapter.file}, links may point to an earlier chapter`);
+                        } else {
+                            usedIds.add(id);
+                            output.push(`{#${id}}`);
+                        }
+                    }
+                    // Numbers are part of the heading text, as in the other formats
+                    const number = numbers.headings.get(line);
+                    output.push(`${'#'.repeat(heading.level)} ${number ? `${number} ` : ''}${heading.title}`);
+                    continue;
+                }
+                
+                const linked = text.replace(LINK_PATTERN, (match, label, href) => `[${label}](${resolveLink(href)})`);
+                output.push(...convertImages(linked, figuresByLine.get(line), numbers.figures.get(line)));
+            }
+            
+            return toLeanpubAdmonitions(output.join('\n'));
+        }
+    };
+}
+
+module.exports = {
+    RESOURCES_DIR,
+    formatAttributes,
+    parseFenceInfo,
+    toResourcePath,
+    toMarkuaId,
+    createMarkuaConverter
+};
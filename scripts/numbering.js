@@ -0,0 +1,377 @@
+/**
+ * Numbering of chapters, sections, figures, tables and code listings
+ * One scheme for every format, configured under `numbering:` in book.yaml:
+ *
+ *   numbering:
+ *     depth: 3             # Heading levels to number; 1 numbers chapters only, 0 none
+ *     appendices: letters  # letters (A, B, ...) or numbers (continuing after the chapters)
+ *
+ * `numbering: false` turns it off. Figures, tables and listings are numbered
+ * per chapter (Figure 2.3); front and back matter are not numbered.
+ * Figures are images alone on their line with a title or an attribute block:
+ *
+ *   ![Architecture](../images/arch.png "How the parts fit together")
+ *   ![Architecture](../images/arch.png){#fig:arch}
+ */
+
+const { scanLines, extractHeadings } = require('./manuscript');
+const { ConfigError } = require('./errors');
+
+const DEFAULT_NUMBERING = {
+    depth: 3,
+    appendices: 'letters'
+};
+
+const APPENDIX_STYLES = ['letters', 'numbers'];
+
+// An image alone on its line: indent, alt text, path, title and {#fig:label .class} attribute block
+const FIGURE_PATTERN = /^(\s*)!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)\s*(?:\{([^}]*)\})?\s*$/;
+
+// Pandoc table caption before or after a table: "Table: Caption" or ": Caption"
+const CAPTION_PATTERN = /^\s*(?:Table)?:\s+(.*?)\s*(?:\{#([^}\s]+)\})?\s*$/;
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/;
+
+// Pandoc's markers for headings left out of the numbering: {-} and {.unnumbered}
+const UNNUMBERED_PATTERN = /\{(?:[^}]*\s)?(?:-|\.unnumbered)(?=[\s}])[^}]*\}\s*$/;
+
+/**
+ * Read the numbering settings of a book
+ * @param {Object} metadata - Book metadata
+ * @returns {Object} Whether numbering is on, heading depth and appendix style
+ */
+function resolveNumbering(metadata) {
+    if (metadata.numbering === false) {
+        return { ...DEFAULT_NUMBERING, enabled: false, depth: 0 };
+    }
+    
+    const config = { ...DEFAULT_NUMBERING, ...(metadata.numbering || {}), enabled: true };
+    
+    if (!Number.isInteger(config.depth) || config.depth < 0 || config.depth > 6) {
+        throw new ConfigError(`Invalid numbering.depth "${config.depth}": expected a number from 0 to 6`);
+    }
+    if (!APPENDIX_STYLES.includes(config.appendices)) {
+        throw new ConfigError(`Invalid numbering.appendices "${config.appendices}": expected ${APPENDIX_STYLES.join(' or ')}`);
+    }
+    
+    return config;
+}
+
+/**
+ * Find the figures of a chapter: images alone on their line with a title or attributes
+ * The caption is the title, or the alt text when there is none
+ * @param {Array<Object>} lines - Scanned lines
+ * @returns {Array<Object>} Figures with line, alt text, title, caption, attributes and label
+ */
+function findFigures(lines) {
+    const figures = [];
+    
+    for (const { text, line, inCode } of lines) {
+        const match = !inCode && text.match(FIGURE_PATTERN);
+        if (match && (match[4] !== undefined || match[5] !== undefined)) {
+            figures.push({
+                line,
+                alt: match[2],
+                title: match[4] ?? null,
+                caption: match[4] || match[2],
+                attributes: match[5] ?? null,
+                label: match[5]?.match(/#([^\s}]+)/)?.[1] || null
+            });
+        }
+    }
+    
+    return figures;
+}
+
+/**
+ * Find the pipe tables of a chapter and their captions
+ * @param {Array<Object>} lines - Scanned lines
+ * @returns {Array<Object>} Tables with first and last line, and caption line, text and label
+ */
+function findTables(lines) {
+    const tables = [];
+    const isBlank = index => !lines[index] || lines[index].text.trim() === '';
+    const captionAt = index => {
+        const entry = lines[index];
+        const match = entry && !entry.inCode && entry.text.match(CAPTION_PATTERN);
+        return match ? { line: entry.line, text: match[1], label: match[2] || null } : null;
+    };
+    
+    for (let index = 1; index < lines.length; index++) {
+        const { text, inCode } = lines[index];
+        if (inCode || !TABLE_DELIMITER_PATTERN.test(text) || !lines[index - 1].text.includes('|')) {
+            continue;
+        }
+        
+        const start = index - 1;
+        let end = index;
+        while (!isBlank(end + 1) && !lines[end + 1].inCode) {
+            end++;
+        }
+        
+        // Captions are a paragraph of their own, right before or right after the table
+        const caption = (isBlank(start - 1) && isBlank(start - 3) && captionAt(start - 2)) ||
+            (isBlank(end + 1) && isBlank(end + 3) && captionAt(end + 2)) ||
+            null;
+        
+        tables.push({ start: lines[start].line, end: lines[end].line, caption });
+        index = end;
+    }
+    
+    return tables;
+}
+
+/**
+ * Find the code listings of a chapter: fenced code blocks with a title or caption
+ * @param {Array<Object>} lines - Scanned lines
+ * @returns {Array<Object>} Listings with the line of the opening fence, caption and label
+ */
+function findListings(lines) {
+    const listings = [];
+    
+    for (const { text, line, fenceStart } of lines) {
+        const info = fenceStart && text.replace(/^\s*(`{3,}|~{3,})/, '');
+        const caption = info && info.match(/\b(?:title|caption)=(?:"([^"]*)"|([^\s}]+))/);
+        if (caption) {
+            listings.push({ line, caption: caption[1] ?? caption[2], label: info.match(/(?:^|[\s{])#([^\s}]+)/)?.[1] || null });
+        }
+    }
+    
+    return listings;
+}
+
+/**
+ * Caption text with its number, e.g. "Figure 2.3: Architecture"
+ * @param {string} name - Figure, Table or Listing
+ * @param {string|null} number - Number, null when numbering is off
+ * @param {string} caption - Caption text
+ * @returns {string} Numbered caption
+ */
+function formatCaption(name, number, caption) {
+    return number ? `${name} ${number}: ${caption}` : caption;
+}
+
+/**
+ * Check whether a heading line opts out of numbering with {-} or {.unnumbered}
+ * @param {string} text - Heading line
+ * @returns {boolean} True for unnumbered headings
+ */
+function isUnnumbered(text) {
+    return UNNUMBERED_PATTERN.test(text);
+}
+
+/**
+ * Number the chapters and appendices of a book
+ * Front and back matter are unnumbered
+ * @param {Object} book - Book model from loadBook
+ * @param {Object} config - Numbering settings from resolveNumbering
+ * @returns {Map<string, string>} Number by chapter file
+ */
+function numberChapters(book, config) {
+    const numbers = new Map();
+    let chapters = 0;
+    let appendices = 0;
+    
+    if (!config.enabled) {
+        return numbers;
+    }
+    
+    for (const chapter of book.chapters) {
+        if (chapter.role === 'appendix' && config.appendices === 'letters') {
+            numbers.set(chapter.file, String.fromCharCode(65 + appendices++));
+        } else {
+            numbers.set(chapter.file, String(++chapters));
+        }
+    }
+    
+    return numbers;
+}
+
+/**
+ * Create the numbering of a book
+ * @param {Object} book - Book model from loadBook
+ * @returns {Object} Numbering settings, chapterNumber(file) and number(markdown, file)
+ */
+function createNumbering(book) {
+    const config = resolveNumbering(book.metadata);
+    const chapterNumbers = numberChapters(book, config);
+    
+    return {
+        config,
+        
+        /**
+         * Number of a chapter or appendix, null for front and back matter
+         * @param {string} file - Chapter file
+         * @returns {string|null} Chapter number or appendix letter
+         */
+        chapterNumber(file) {
+            return chapterNumbers.get(file) || null;
+        },
+        
+        /**
+         * Number the headings, figures, tables and listings of a chapter
+         * Run it on the Markdown being rendered, after plugins and other rewrites
+         * @param {string} markdown - Chapter Markdown
+         * @param {string} file - Chapter file
+         * @returns {Object} Maps from line to number for headings, figures, tables (caption line) and listings,
+         * and from line to id for figures and tables
+         */
+        number(markdown, file) {
+            const lines = scanLines(markdown);
+            const chapterNumber = chapterNumbers.get(file) || null;
+            const inChapter = count => (chapterNumber ? `${chapterNumber}.${count}` : String(count));
+            const numbers = { chapter: chapterNumber, headings: new Map(), figures: new Map(), tables: new Map(), listings: new Map(), anchors: new Map() };
+            
+            // Figures and tables without a label get an id too, for the lists of figures and tables
+            const name = file.replace(/\.md$/, '');
+            findFigures(lines).forEach((figure, index) => {
+                numbers.anchors.set(figure.line, figure.label || `figure-${name}-${index + 1}`);
+            });
+            findTables(lines)
+                .filter(table => table.caption)
+                .forEach(({ caption }, index) => numbers.anchors.set(caption.line, caption.label || `table-${name}-${index + 1}`));
+            
+            if (!config.enabled) {
+                return numbers;
+            }
+            
+            // Section numbers follow the heading levels below the chapter title
+            const counters = [];
+            for (const heading of extractHeadings(lines)) {
+                if (!chapterNumber || heading.level > config.depth || isUnnumbered(lines[heading.line - 1].text)) {
+                    continue;
+                }
+                
+                if (heading.level === 1) {
+                    counters.length = 0;
+                    numbers.headings.set(heading.line, chapterNumber);
+                    continue;
+                }
+                
+                counters.length = heading.level - 1;
+                counters[heading.level - 2] = (counters[heading.level - 2] || 0) + 1;
+                numbers.headings.set(heading.line, [chapterNumber, ...Array.from(counters, count => count || 0)].join('.'));
+            }
+            
+            findFigures(lines).forEach((figure, index) => numbers.figures.set(figure.line, inChapter(index + 1)));
+            findTables(lines)
+                .filter(table => table.caption)
+                .forEach((table, index) => numbers.tables.set(table.caption.line, inChapter(index + 1)));
+            findListings(lines).forEach((listing, index) => numbers.listings.set(listing.line, inChapter(index + 1)));
+            
+            return numbers;
+        }
+    };
+}
+
+/**
+ * Write the numbers into a chapter's Markdown
+ * Headings get their number and an explicit id, so anchors do not change;
+ * table captions and listing titles get "Table 2.1:" and "Listing 2.1:".
+ * Figures get their caption: a <figure> for markdown-it, the image description
+ * for Pandoc, which only makes a figure of images with a caption
+ * @param {string} markdown - Chapter Markdown
+ * @param {Object} numbers - Numbers from numbering.number() for this Markdown
+ * @param {string} format - html for markdown-it, pandoc for the Pandoc builds
+ * @param {Set<string>} [ids] - Ids already used in a document that combines
+ *   several chapters; heading anchors that repeat one get a -1, -2... suffix
+ * @returns {string} Numbered Markdown
+ */
+function numberMarkdown(markdown, numbers, format, ids = null) {
+    const lines = scanLines(markdown);
+    const headings = new Map(extractHeadings(lines).map(heading => [heading.line, heading]));
+    const figures = new Map(findFigures(lines).map(figure => [figure.line, figure]));
+    const output = [];
+    
+    const numberSpan = number => (format === 'pandoc'
+        ? `[${number}]{.section-number}`
+        : `<span class="section-number">${number}</span>`);
+    
+    for (const { text, line, inCode } of lines) {
+        if (numbers.headings.has(line)) {
+            const heading = headings.get(line);
+            // Labels are unique in the whole book, anchors only in their chapter
+            const anchor = ids && !heading.labelled ? uniqueId(heading.anchor, ids) : heading.anchor;
+            ids?.add(anchor);
+            const [, content, attributes] = text.match(/^#{1,6}\s+(.+?)\s*(\{[^}]*\})?\s*#*\s*$/);
+            // markdown-it reads the id only, Pandoc keeps classes as well
+            const id = attributes && format === 'pandoc'
+                ? (attributes.includes('#') ? attributes : attributes.replace('{', `{#${anchor} `))
+                : `{#${anchor}}`;
+            output.push(`${'#'.repeat(heading.level)} ${numberSpan(numbers.headings.get(line))} ${content} ${id}`);
+        } else if (figures.has(line)) {
+            output.push(...formatFigure(text, figures.get(line), numbers, format));
+        } else if (numbers.anchors.has(line)) {
+            // Table captions, with an id for the ones without a label
+            const [, marker, caption, label] = text.match(/^(\s*(?:Table)?:\s+)(.*?)\s*(?:\{#([^}\s]+)\})?\s*$/);
+            output.push(`${marker}${formatCaption('Table', numbers.tables.get(line), caption)} {#${label || numbers.anchors.get(line)}}`);
+        } else if (numbers.listings.has(line)) {
+            // Pandoc puts the label on the code block, markdown-it ignores it so it goes on the caption
+            const [, indent] = text.match(/^(\s*)/);
+            const { caption, label } = findListings([{ text, line, fenceStart: true }])[0];
+            const title = `Listing ${numbers.listings.get(line)}: ${caption}`;
+            output.push(...(format === 'pandoc'
+                ? [`${indent}::: listing-caption`, `${indent}${title}`, `${indent}:::`, '']
+                : [`${indent}<p class="listing-caption"${label ? ` id="${escapeHtml(label)}"` : ''}>${escapeHtml(title)}</p>`, '']), text);
+        } else if (format === 'pandoc' && !inCode && FIGURE_PATTERN.test(text)) {
+            // A non-breaking space keeps Pandoc from making a figure of an image without a caption
+            output.push(`${text.trimEnd()}\\ `);
+        } else {
+            output.push(text);
+        }
+    }
+    
+    return output.join('\n');
+}
+
+function uniqueId(anchor, ids) {
+    let id = anchor;
+    for (let suffix = 1; ids.has(id); suffix++) {
+        id = `${anchor}-${suffix}`;
+    }
+    return id;
+}
+
+function formatFigure(text, figure, numbers, format) {
+    const [, indent, alt, src, title] = text.match(FIGURE_PATTERN);
+    const id = numbers.anchors.get(figure.line);
+    const caption = formatCaption('Figure', numbers.figures.get(figure.line), figure.caption);
+    const image = `${indent}![${format === 'pandoc' ? caption.replace(/([[\]])/g, '\\$1') : alt}](${src}${title !== undefined ? ` "${title}"` : ''})`;
+    
+    if (format === 'pandoc') {
+        // Pandoc keeps the other attributes, such as a width
+        const attributes = (figure.attributes || '').replace(/(?:^|\s)#[^\s}]+/, '').trim();
+        return [`${image}{#${id}${attributes ? ` ${attributes}` : ''}}`];
+    }
+    
+    return [
+        `${indent}<figure class="figure" id="${escapeHtml(id)}">`,
+        '',
+        image,
+        '',
+        `${indent}<figcaption>${escapeHtml(caption)}</figcaption>`,
+        `${indent}</figure>`
+    ];
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    DEFAULT_NUMBERING,
+    FIGURE_PATTERN,
+    CAPTION_PATTERN,
+    resolveNumbering,
+    findFigures,
+    findTables,
+    findListings,
+    formatCaption,
+    isUnnumbered,
+    numberChapters,
+    createNumbering,
+    numberMarkdown
+};
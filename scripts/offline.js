@@ -0,0 +1,152 @@
+/**
+ * Offline reading for the web edition
+ * With `web.offline` in book.yaml, the build writes a web app manifest and a
+ * service worker, sw.js, that caches every page, image and asset of the site
+ * when a reader first opens it. The cache is named after a hash of the built
+ * files, so every build that changes the site gives readers the new version
+ */
+
+const { ConfigError } = require('./errors');
+
+const MANIFEST_FILE = 'manifest.webmanifest';
+const SERVICE_WORKER_FILE = 'sw.js';
+
+const DEFAULT_THEME_COLOR = '#1a1a2e';
+const DEFAULT_BACKGROUND_COLOR = '#ffffff';
+
+/**
+ * Read the offline settings of the web edition
+ * `web.offline` is false by default, true for offline reading, or a map with
+ * short_name, theme_color and background_color for the manifest
+ * @param {Object} metadata - Book metadata
+ * @returns {Object|null} Manifest settings, or null without offline reading
+ */
+function resolveOffline(metadata) {
+    const setting = metadata.web?.offline ?? false;
+    
+    if (setting === false) {
+        return null;
+    }
+    if (setting !== true && (typeof setting !== 'object' || Array.isArray(setting) || setting === null)) {
+        throw new ConfigError(`Invalid web.offline "${setting}": expected true, false or a map with short_name, theme_color and background_color`);
+    }
+    
+    const options = setting === true ? {} : setting;
+    for (const key of ['short_name', 'theme_color', 'background_color']) {
+        if (options[key] !== undefined && typeof options[key] !== 'string') {
+            throw new ConfigError(`Invalid web.offline.${key} "${options[key]}": expected text`);
+        }
+    }
+    
+    return {
+        shortName: options.short_name || null,
+        themeColor: options.theme_color || DEFAULT_THEME_COLOR,
+        backgroundColor: options.background_color || DEFAULT_BACKGROUND_COLOR
+    };
+}
+
+/**
+ * Create the web app manifest
+ * @param {Object} metadata - Book metadata
+ * @param {Object} offline - Settings from resolveOffline()
+ * @returns {Object} Manifest, to be written as JSON
+ */
+function createManifest(metadata, offline) {
+    return {
+        name: metadata.title,
+        short_name: offline.shortName || metadata.title,
+        description: (metadata.description || metadata.subtitle || '').trim(),
+        lang: metadata.language || 'en',
+        start_url: './',
+        scope: './',
+        display: 'standalone',
+        theme_color: offline.themeColor,
+        background_color: offline.backgroundColor
+    };
+}
+
+/**
+ * Create the service worker
+ * It stores every URL in one cache on install, deletes the caches of earlier
+ * versions on activation, and answers from the cache before the network.
+ * Pages that are not cached fall back to the home page while offline
+ * @param {string} version - Cache version, which changes when the site does
+ * @param {Array<string>} urls - URLs to cache, relative to the site root
+ * @returns {string} JavaScript source
+ */
+function createServiceWorker(version, urls) {
+    return `// Service worker of the web edition, written by build-web.js
+const CACHE_PREFIX = 'book:' + self.registration.scope + ':';
+const CACHE = CACHE_PREFIX + ${JSON.stringify(version)};
+const PRECACHE = ${JSON.stringify(urls, null, 4)};
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    
+    event.respondWith(
+        caches.open(CACHE)
+            .then(cache => cache.match(request, { ignoreSearch: true }))
+            .then(cached => cached || fetch(request).catch(error => {
+                if (request.mode === 'navigate') {
+                    return caches.match('./').then(home => home || Promise.reject(error));
+                }
+                throw error;
+            }))
+    );
+});
+`;
+}
+
+/**
+ * Create a service worker that removes the offline copy
+ * Written in place of sw.js when web.offline is turned off, since browsers
+ * keep a service worker until a new version replaces it
+ * @returns {string} JavaScript source
+ */
+function createRetiredServiceWorker() {
+    return `// Offline reading is turned off: remove the cached copy of the site
+const CACHE_PREFIX = 'book:' + self.registration.scope + ':';
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX))
+                .map(key => caches.delete(key))))
+            .then(() => self.registration.unregister())
+    );
+});
+`;
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    SERVICE_WORKER_FILE,
+    resolveOffline,
+    createManifest,
+    createServiceWorker,
+    createRetiredServiceWorker
+};
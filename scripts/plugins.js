@@ -0,0 +1,236 @@
+/**
+ * Plugin system for the book generation system
+ * Plugins are listed under `plugins:` in book.yaml or exported from book.config.js.
+ * They register markdown-it plugins and Handlebars helpers for the web build,
+ * Lua filters for the Pandoc builds, and hooks that every builder runs
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { getMetadataPath } = require('./manuscript');
+const { BookError, ConfigError } = require('./errors');
+
+const CONFIG_FILE = 'book.config.js';
+const HOOKS = ['beforeParse', 'afterRender', 'beforeWrite'];
+
+/**
+ * Resolve a module path from the project root
+ * Relative paths are relative to the project root, bare names are packages
+ * @param {string} request - Module path or package name
+ * @param {string} origin - Where the request comes from, for error messages
+ * @returns {string} Absolute module path
+ */
+function resolveModule(request, origin) {
+    try {
+        return require.resolve(request, { paths: [process.cwd()] });
+    } catch (error) {
+        throw new ConfigError(`Plugin "${request}" listed in ${origin} not found`, {
+            cause: error,
+            hint: 'Use a path relative to the project root (./plugins/my-plugin.js) or an installed package name'
+        });
+    }
+}
+
+/**
+ * Load a module fresh, so the dev server picks up edits to plugins
+ * @param {string} modulePath - Absolute module path
+ * @returns {*} Module exports
+ */
+function requireFresh(modulePath) {
+    delete require.cache[modulePath];
+    return require(modulePath);
+}
+
+/**
+ * Turn one entry of a plugin list into a plugin object
+ * @param {string|Object|Function} entry - Module path, { module, options }, { markdownIt, options } or a plugin
+ * @param {string} origin - File the entry comes from
+ * @returns {Object} Plugin with name, source file and options
+ */
+function loadPlugin(entry, origin) {
+    // Shorthand for a markdown-it plugin package, used by the web build only
+    if (entry && typeof entry === 'object' && typeof entry.markdownIt === 'string') {
+        const modulePath = resolveModule(entry.markdownIt, origin);
+        const markdownItPlugin = requireFresh(modulePath);
+        return {
+            name: entry.markdownIt,
+            file: modulePath,
+            formats: ['web'],
+            markdownIt: md => md.use(markdownItPlugin.default || markdownItPlugin, entry.options)
+        };
+    }
+    
+    let plugin = entry;
+    let file = null;
+    const options = (entry && entry.options) || {};
+    
+    if (typeof entry === 'string' || typeof entry?.module === 'string') {
+        file = resolveModule(entry.module || entry, origin);
+        plugin = requireFresh(file);
+    }
+    
+    // Plugin factories receive their options
+    if (typeof plugin === 'function') {
+        plugin = plugin(options);
+    }
+    
+    if (!plugin || typeof plugin !== 'object') {
+        throw new ConfigError(`Invalid plugin${file ? ` "${entry.module || entry}"` : ''} in ${origin}: expected an object or a function returning one`);
+    }
+    
+    const name = plugin.name || (file ? path.basename(file, '.js') : 'anonymous plugin');
+    
+    for (const hook of Object.keys(plugin.hooks || {})) {
+        if (!HOOKS.includes(hook)) {
+            throw new ConfigError(`Unknown hook "${hook}" in plugin ${name}. Available hooks: ${HOOKS.join(', ')}`);
+        }
+    }
+    
+    return { ...plugin, name, file, options };
+}
+
+/**
+ * Read the plugin list of book.config.js
+ * @param {string} configPath - Path of book.config.js
+ * @returns {Array} Plugin entries
+ */
+function readConfigFile(configPath) {
+    let config;
+    try {
+        config = requireFresh(path.resolve(configPath));
+    } catch (error) {
+        throw new ConfigError(`Error loading ${configPath}: ${error.message}`, { cause: error, file: configPath });
+    }
+    
+    return [].concat(config.plugins || []);
+}
+
+/**
+ * Find the hook a plugin runs for a format
+ * Hooks are a function for every format, or an object of functions by format
+ * @param {Object} plugin - Plugin
+ * @param {string} hook - Hook name
+ * @param {string} format - Format being built
+ * @returns {Function|null} Hook function
+ */
+function findHook(plugin, hook, format) {
+    if (plugin.formats && !plugin.formats.includes(format)) {
+        return null;
+    }
+    
+    const handler = plugin.hooks?.[hook];
+    if (typeof handler === 'function') {
+        return handler;
+    }
+    
+    return handler?.[format] || null;
+}
+
+/**
+ * Load the plugins of a book
+ * @param {Object} book - Book model from loadBook
+ * @param {Object} [options] - Build options
+ * @param {string} [options.pluginConfig] - Plugin configuration file (default: book.config.js)
+ * @returns {Promise<Object>} Plugin host used by the builders
+ */
+async function loadPlugins(book, options = {}) {
+    const configPath = options.pluginConfig || CONFIG_FILE;
+    const metadataPath = getMetadataPath(book.sourceDir, options.configFile);
+    const plugins = [].concat(book.metadata.plugins || []).map(entry => loadPlugin(entry, metadataPath));
+    const sources = [];
+    
+    if (await fs.pathExists(configPath)) {
+        sources.push(path.resolve(configPath));
+        plugins.push(...readConfigFile(configPath).map(entry => loadPlugin(entry, configPath)));
+    }
+    
+    // Lua filters are relative to the plugin module, or to the project root for inline plugins
+    const luaFilters = plugins.map(plugin => [].concat(plugin.pandocFilters || []).map(filter => {
+        return path.resolve(plugin.file ? path.dirname(plugin.file) : process.cwd(), filter);
+    }));
+    
+    sources.push(...plugins.map(plugin => plugin.file).filter(Boolean), ...luaFilters.flat());
+    
+    return {
+        plugins,
+        
+        /**
+         * Plugin files; editing them invalidates the build cache
+         */
+        sources,
+        
+        /**
+         * Register the plugins' markdown-it plugins
+         * @param {Object} md - markdown-it instance
+         * @param {string} format - Format being built
+         */
+        configureMarkdown(md, format) {
+            for (const plugin of plugins) {
+                if (plugin.markdownIt && (!plugin.formats || plugin.formats.includes(format))) {
+                    plugin.markdownIt(md, plugin.options);
+                }
+            }
+        },
+        
+        /**
+         * Register the plugins' Handlebars helpers
+         * @param {Object} handlebars - Handlebars instance
+         */
+        registerHelpers(handlebars) {
+            for (const plugin of plugins) {
+                for (const [name, helper] of Object.entries(plugin.helpers || {})) {
+                    handlebars.registerHelper(name, helper);
+                }
+            }
+        },
+        
+        /**
+         * Pandoc arguments for the plugins' Lua filters
+         * @param {string} format - Format being built
+         * @returns {Array<string>} Pandoc arguments
+         */
+        pandocArgs(format) {
+            return plugins.flatMap((plugin, index) => {
+                if (plugin.formats && !plugin.formats.includes(format)) {
+                    return [];
+                }
+                return luaFilters[index].map(filter => `--lua-filter=${filter}`);
+            });
+        },
+        
+        /**
+         * Run a hook of every plugin in order, each one receiving the previous one's output
+         * A hook that returns undefined leaves the content unchanged
+         * @param {string} hook - beforeParse, afterRender or beforeWrite
+         * @param {string} content - Markdown, HTML or file contents
+         * @param {Object} context - Format, book and the chapter or output path
+         * @returns {Promise<string>} Transformed content
+         */
+        async run(hook, content, context) {
+            for (const plugin of plugins) {
+                const handler = findHook(plugin, hook, context.format);
+                if (!handler) {
+                    continue;
+                }
+                
+                try {
+                    const transformed = await handler(content, { ...context, options: plugin.options });
+                    content = transformed === undefined ? content : transformed;
+                } catch (error) {
+                    throw new BookError(`Plugin ${plugin.name} failed in ${hook}: ${error.message}`, {
+                        cause: error,
+                        file: context.chapter?.path
+                    });
+                }
+            }
+            
+            return content;
+        }
+    };
+}
+
+module.exports = {
+    CONFIG_FILE,
+    HOOKS,
+    loadPlugins
+};
@@ -0,0 +1,224 @@
+/**
+ * PDF and EPUB previews for the development server
+ * Builds each preview on request, reusing the build cache when nothing changed
+ */
+
+const express = require('express');
+const fs = require('fs-extra');
+const path = require('path');
+const buildKindle = require('./build-kindle');
+const { buildPrintPreview } = require('./build-pdf');
+const { openEpub } = require('./epub-reader');
+const { describeError } = require('./code-frame');
+const { injectClient } = require('./live-reload');
+const { DEFAULT_CACHE_DIR } = require('./build-cache');
+
+const PREVIEW_PATH = '/__preview';
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Create the preview routes
+ * @param {Object} options - Build options used by the dev server
+ * @returns {Object} Express router
+ */
+function createPreviewRouter(options) {
+    const router = express.Router({ strict: true });
+    const printDir = path.join(DEFAULT_CACHE_DIR, 'preview', 'pdf');
+    // Previews include drafts, so they are built apart from the publishable output
+    const epubDir = path.join(DEFAULT_CACHE_DIR, 'preview', 'epub');
+    const pending = new Map();
+    let epub = null;
+    
+    // Requests that arrive while a preview is building wait for the same build
+    const once = (key, build) => {
+        if (!pending.has(key)) {
+            pending.set(key, build().finally(() => pending.delete(key)));
+        }
+        return pending.get(key);
+    };
+    
+    const sendError = async (res, title, error) => {
+        console.error(`❌ ${title}:`, error.message);
+        res.status(500).type('html').send(injectClient(renderErrorPage(title, await describeError(error))));
+    };
+    
+    router.get(PREVIEW_PATH, (req, res) => {
+        res.type('html').send(injectClient(renderIndexPage()));
+    });
+    
+    router.get(`${PREVIEW_PATH}/pdf`, (req, res) => res.redirect(`${PREVIEW_PATH}/pdf/`));
+    router.get(`${PREVIEW_PATH}/pdf/`, async (req, res) => {
+        try {
+            const htmlPath = await once('pdf', () => buildPrintPreview({ ...options, outputDir: printDir }));
+            res.type('html').send(injectClient(await fs.readFile(htmlPath, 'utf8')));
+        } catch (error) {
+            await sendError(res, 'PDF preview failed', error);
+        }
+    });
+    router.use(`${PREVIEW_PATH}/pdf`, express.static(printDir));
+    
+    router.get(`${PREVIEW_PATH}/epub`, (req, res) => res.redirect(`${PREVIEW_PATH}/epub/`));
+    router.get(`${PREVIEW_PATH}/epub/`, async (req, res) => {
+        try {
+            epub = await once('epub', async () => {
+                await buildKindle({ ...options, outputDir: epubDir });
+                return openEpub(path.join(epubDir, 'book.epub'));
+            });
+            res.type('html').send(injectClient(renderReaderPage(epub)));
+        } catch (error) {
+            await sendError(res, 'EPUB preview failed', error);
+        }
+    });
+    
+    // Files inside the EPUB most recently opened by the reader
+    router.get(`${PREVIEW_PATH}/epub/files/*`, (req, res) => {
+        // Express has already decoded the path
+        const filePath = req.params[0];
+        
+        if (!epub || !epub.files.has(filePath)) {
+            return res.status(404).send('Not found');
+        }
+        
+        res.type(path.extname(filePath)).send(epub.files.get(filePath));
+    });
+    
+    return router;
+}
+
+function renderIndexPage() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Previews</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 40rem; margin: 3rem auto; padding: 0 1rem; color: #333; }
+        a { display: block; padding: 1rem; margin-bottom: 0.75rem; border: 1px solid #ddd; border-radius: 6px; color: inherit; text-decoration: none; }
+        a:hover { border-color: #3498db; }
+        small { display: block; color: #777; }
+    </style>
+</head>
+<body>
+    <h1>Previews</h1>
+    <a href="/">🌐 Web<small>The site as published to GitHub Pages</small></a>
+    <a href="${PREVIEW_PATH}/pdf/">📄 PDF<small>HTML print preview with the PDF stylesheet</small></a>
+    <a href="${PREVIEW_PATH}/epub/">📱 EPUB<small>Reader view of the generated EPUB</small></a>
+</body>
+</html>`;
+}
+
+function renderReaderPage(epub) {
+    const fileUrl = (target) => {
+        const [filePath, fragment] = target.split('#');
+        return `files/${filePath.split('/').map(encodeURIComponent).join('/')}${fragment ? `#${fragment}` : ''}`;
+    };
+    const toc = epub.toc.length > 0
+        ? epub.toc
+        : epub.spine.map(item => ({ title: path.posix.basename(item.path), path: item.path }));
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>EPUB preview - ${escapeHtml(epub.title)}</title>
+    <style>
+        body { display: flex; height: 100vh; margin: 0; font-family: system-ui, sans-serif; color: #333; }
+        aside { width: 18rem; overflow-y: auto; padding: 1rem; border-right: 1px solid #ddd; background: #fafafa; }
+        aside h1 { font-size: 1.1rem; }
+        aside ol { padding-left: 1.25rem; }
+        aside a { color: inherit; }
+        main { display: flex; flex: 1; flex-direction: column; }
+        .pager { display: flex; align-items: center; justify-content: space-between; padding: 0.5rem 1rem; border-bottom: 1px solid #ddd; }
+        iframe { flex: 1; border: 0; }
+    </style>
+</head>
+<body>
+    <aside>
+        <h1>${escapeHtml(epub.title)}</h1>
+        <ol>
+            ${toc.map(entry => `<li><a href="${fileUrl(entry.path)}" target="reader">${escapeHtml(entry.title)}</a></li>`).join('\n            ')}
+        </ol>
+    </aside>
+    <main>
+        <div class="pager">
+            <button type="button" id="previous">← Previous</button>
+            <span id="position"></span>
+            <button type="button" id="next">Next →</button>
+        </div>
+        <iframe name="reader" id="reader" title="EPUB page" src="${epub.spine[0] ? fileUrl(epub.spine[0].path) : 'about:blank'}"></iframe>
+    </main>
+    <script>
+        (function() {
+            const spine = ${JSON.stringify(epub.spine.map(item => fileUrl(item.path)))};
+            const reader = document.getElementById('reader');
+            const position = document.getElementById('position');
+            
+            function currentIndex() {
+                const current = reader.contentWindow.location.pathname;
+                return spine.findIndex(function(url) {
+                    return current.endsWith('/' + url);
+                });
+            }
+            
+            function go(step) {
+                const index = currentIndex() + step;
+                if (index >= 0 && index < spine.length) {
+                    reader.src = spine[index];
+                }
+            }
+            
+            reader.addEventListener('load', function() {
+                position.textContent = (currentIndex() + 1) + ' / ' + spine.length;
+            });
+            
+            document.getElementById('previous').addEventListener('click', function() { go(-1); });
+            document.getElementById('next').addEventListener('click', function() { go(1); });
+            document.addEventListener('keydown', function(event) {
+                if (event.key === 'ArrowLeft') { go(-1); }
+                if (event.key === 'ArrowRight') { go(1); }
+            });
+        })();
+    </script>
+</body>
+</html>`;
+}
+
+function renderErrorPage(title, error) {
+    const location = error.file
+        ? `<p><code>${escapeHtml(error.file)}${error.line ? `:${error.line}` : ''}</code></p>`
+        : '';
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { margin: 0; padding: 2rem; background: #1e1e1e; color: #f8f8f2; font: 14px/1.5 ui-monospace, Menlo, Consolas, monospace; }
+        h1 { color: #ff6b6b; font-size: 1.25rem; }
+        pre { white-space: pre-wrap; }
+        .frame { padding: 1rem; background: #000; border-radius: 4px; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <pre>${escapeHtml(error.message)}</pre>
+    ${location}
+    ${error.frame ? `<pre class="frame">${escapeHtml(error.frame)}</pre>` : ''}
+    ${error.hint ? `<pre>${escapeHtml(error.hint)}</pre>` : ''}
+    <p>Fix the error and save; this page reloads once the build succeeds.</p>
+</body>
+</html>`;
+}
+
+module.exports = {
+    PREVIEW_PATH,
+    createPreviewRouter
+};
@@ -0,0 +1,41 @@
+/**
+ * Run external tools without blocking the event loop
+ * Lets the PDF and Kindle builds call Pandoc while other formats keep building
+ */
+
+const { spawn } = require('child_process');
+
+// Where tools write their standard output: the terminal, or stderr while stdout carries JSON
+let stdio = 'inherit';
+
+/**
+ * Send the standard output of tools to stderr, keeping stdout for the caller's own output
+ */
+function redirectOutputToStderr() {
+    stdio = ['ignore', process.stderr, 'inherit'];
+}
+
+/**
+ * Run a shell command, streaming its output to the terminal
+ * @param {string} command - Command line to run
+ * @returns {Promise<void>} Resolves when the command exits successfully
+ */
+function runCommand(command) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, { shell: true, stdio });
+        
+        child.on('error', reject);
+        child.on('close', code => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`Command failed with exit code ${code}: ${command}`));
+            }
+        });
+    });
+}
+
+module.exports = {
+    runCommand,
+    redirectOutputToStderr
+};
@@ -0,0 +1,85 @@
+/**
+ * Full-text search index for the web edition
+ * Every heading starts a section holding the text below it, with the heading's
+ * anchor, so a result can jump straight to its section. The search box in the
+ * layout loads search-index.json and searches it in the browser
+ */
+
+/**
+ * Plain text of an inline token: text and code, without markup
+ * @param {Object} token - markdown-it inline token
+ * @returns {string} Text
+ */
+function inlineText(token) {
+    // Footnote reference numbers are left out
+    let inNoteRef = false;
+    
+    return (token.children || []).map(child => {
+        if (child.type === 'html_inline') {
+            inNoteRef = child.content.startsWith('<a class="footnote-ref"') || (inNoteRef && child.content !== '</a>');
+            return '';
+        }
+        if (inNoteRef) {
+            return '';
+        }
+        if (child.type === 'text' || child.type === 'code_inline') {
+            return child.content;
+        }
+        return child.type === 'softbreak' || child.type === 'hardbreak' ? ' ' : '';
+    }).join('');
+}
+
+/**
+ * Split a parsed chapter into sections at its headings
+ * Text before the first heading forms a section without an anchor
+ * @param {Array<Object>} tokens - Tokens from md.parse(), with heading ids set
+ * @returns {Array<Object>} Sections with id, title, level and text
+ */
+function extractSections(tokens) {
+    let current = { id: null, title: '', level: 0, text: [] };
+    const sections = [current];
+    
+    for (let index = 0; index < tokens.length; index++) {
+        const token = tokens[index];
+        
+        if (token.type === 'heading_open') {
+            current = {
+                id: token.attrGet('id'),
+                title: inlineText(tokens[index + 1]).trim(),
+                level: Number(token.tag.slice(1)),
+                text: []
+            };
+            sections.push(current);
+            index += 2;
+        } else if (token.type === 'inline') {
+            current.text.push(inlineText(token));
+        } else if (token.type === 'fence' || token.type === 'code_block') {
+            current.text.push(token.content);
+        }
+    }
+    
+    return sections
+        .map(section => ({ ...section, text: section.text.join(' ').replace(/\s+/g, ' ').trim() }))
+        .filter(section => section.title || section.text);
+}
+
+/**
+ * Build the search index of the web edition
+ * @param {Array<Object>} documents - Pages with title, number, url and parsed tokens
+ * @returns {Object} Index with one entry per page and its sections
+ */
+function buildSearchIndex(documents) {
+    return {
+        pages: documents.map(document => ({
+            title: document.title,
+            number: document.number || null,
+            url: document.url,
+            sections: extractSections(document.tokens)
+        }))
+    };
+}
+
+module.exports = {
+    extractSections,
+    buildSearchIndex
+};
@@ -0,0 +1,50 @@
+/**
+ * Web themes
+ * `web.theme` in book.yaml names a directory under config/themes:
+ *
+ *   config/themes/<name>/
+ *     style.css      # Loaded after the base stylesheet
+ *     templates/     # layout.hbs, index.hbs, chapter.hbs, part.hbs or book.hbs,
+ *                    # used in place of the ones in config/templates
+ *
+ * Both are optional. The default theme is config/templates and the base stylesheet alone
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+const THEMES_DIR = 'config/themes';
+const DEFAULT_THEME = 'default';
+
+/**
+ * Read the theme of the web edition
+ * @param {Object} metadata - Book metadata
+ * @returns {Object} Theme name, and its stylesheet and templates directory (null when it has none)
+ */
+function resolveTheme(metadata) {
+    const name = metadata.web?.theme || DEFAULT_THEME;
+    const dir = path.join(THEMES_DIR, String(name));
+    
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+        throw new ConfigError(`Invalid web.theme "${name}": expected the name of a directory in ${THEMES_DIR}`);
+    }
+    if (name !== DEFAULT_THEME && !fs.pathExistsSync(dir)) {
+        throw new ConfigError(`Unknown web.theme "${name}": ${dir} not found`, {
+            hint: `Create ${dir} with a style.css or a templates directory, or use web.theme: ${DEFAULT_THEME}`
+        });
+    }
+    
+    const stylesheet = path.join(dir, 'style.css');
+    const templatesDir = path.join(dir, 'templates');
+    return {
+        name,
+        stylesheet: fs.pathExistsSync(stylesheet) ? stylesheet : null,
+        templatesDir: fs.pathExistsSync(templatesDir) ? templatesDir : null
+    };
+}
+
+module.exports = {
+    THEMES_DIR,
+    resolveTheme
+};
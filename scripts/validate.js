@@ -2,21 +2,42 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const yaml = require('yaml');
+const {
+    CHAPTER_STATUSES,
+    DEFAULT_SOURCE_DIR,
+    getMetadataPath,
+    loadMetadata,
+    findChapterFiles,
+    findMatterFiles,
+    resolveStructure,
+    parseChapter,
+    loadBook
+} = require('./manuscript');
+const { listAdmonitions } = require('./admonitions');
+const { buildReferenceIndex } = require('./cross-references');
+const { resolveNumbering } = require('./numbering');
+const { resolveLists } = require('./lists');
+const { resolveNotes, checkFootnotes } = require('./footnotes');
+const { resolvePageList, resolveIdentifier, resolveSeries, resolveSubjects } = require('./epub');
+const { resolveTheme } = require('./themes');
+const { resolveOffline } = require('./offline');
+const { BookError, ValidationError, handleCliError } = require('./errors');
 
-async function validate() {
+async function validate(options = {}) {
     console.log('🔍 Validating book structure...');
     
     let errors = [];
     let warnings = [];
+    let chapterStatuses = [];
+    const sourceDir = options.sourceDir || DEFAULT_SOURCE_DIR;
     
     try {
         // Check required directories
         const requiredDirs = [
-            'src',
-            'src/chapters',
-            'src/metadata',
-            'src/images'
+            sourceDir,
+            path.join(sourceDir, 'chapters'),
+            path.join(sourceDir, 'metadata'),
+            path.join(sourceDir, 'images')
         ];
         
         for (const dir of requiredDirs) {
@@ -26,18 +47,29 @@ async function validate() {
         }
         
         // Check metadata file
-        const metadataPath = 'src/metadata/book.yaml';
+        const metadataPath = getMetadataPath(sourceDir, options.configFile);
         if (!await fs.pathExists(metadataPath)) {
-            errors.push('Missing book metadata file: src/metadata/book.yaml');
+            errors.push(`Missing book metadata file: ${metadataPath}`);
         } else {
-            await validateMetadata(metadataPath, errors, warnings);
+            await validateMetadata(sourceDir, metadataPath, errors, warnings);
         }
         
         // Check chapters
-        await validateChapters(errors, warnings);
+        chapterStatuses = await validateChapters(sourceDir, errors, warnings);
+        
+        // Check front and back matter
+        await validateMatter(sourceDir, errors, warnings);
+        
+        // Check @ref() cross-references across the whole book
+        await validateReferences({ ...options, sourceDir }, errors);
         
         // Check images
-        await validateImages(errors, warnings);
+        await validateImages(sourceDir, errors, warnings);
+        
+        // Display chapter status summary
+        if (chapterStatuses.length > 0) {
+            printStatusSummary(chapterStatuses);
+        }
         
         // Display results
         console.log('\n📋 Validation Report');
@@ -57,21 +89,23 @@ async function validate() {
             }
         }
         
-        if (errors.length > 0) {
-            console.log('\nPlease fix the errors before building your book.');
-            process.exit(1);
-        }
-        
     } catch (error) {
-        console.error('❌ Validation failed:', error.message);
-        process.exit(1);
+        throw new BookError(`Validation failed: ${error.message}`, { cause: error });
     }
+    
+    const result = { errors, warnings, chapters: chapterStatuses };
+    
+    if (errors.length > 0) {
+        console.log('\nPlease fix the errors before building your book.');
+        throw new ValidationError(result);
+    }
+    
+    return result;
 }
 
-async function validateMetadata(metadataPath, errors, warnings) {
+async function validateMetadata(sourceDir, metadataPath, errors, warnings) {
     try {
-        const content = await fs.readFile(metadataPath, 'utf8');
-        const metadata = yaml.parse(content);
+        const metadata = await loadMetadata(sourceDir, metadataPath);
         
         // Required fields
         const requiredFields = ['title', 'description', 'date'];
@@ -108,7 +142,7 @@ async function validateMetadata(metadataPath, errors, warnings) {
         
         // Check cover image if specified
         if (metadata.kindle?.cover_image) {
-            const coverPath = path.resolve('src', metadata.kindle.cover_image.replace('../', ''));
+            const coverPath = path.resolve(sourceDir, metadata.kindle.cover_image.replace('../', ''));
             if (!await fs.pathExists(coverPath)) {
                 errors.push(`Cover image not found: ${coverPath}`);
             }
@@ -116,24 +150,120 @@ async function validateMetadata(metadataPath, errors, warnings) {
             warnings.push('No cover image specified in metadata');
         }
         
+        // Check the chapter manifest against the files on disk
+        if (metadata.structure) {
+            await validateStructure(sourceDir, metadata, errors, warnings);
+        }
+        
+        // Check the numbering, list and note settings, and the EPUB identifier, series, genres and page-list
+        for (const resolve of [resolveNumbering, resolveLists, resolveNotes, resolveIdentifier, resolveSeries, resolveSubjects, resolvePageList, resolveTheme, resolveOffline]) {
+            try {
+                resolve(metadata);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        
+        // Check the Leanpub sample against the files on disk
+        if (Array.isArray(metadata.leanpub?.sample)) {
+            await validateSample(sourceDir, metadata.leanpub.sample, errors);
+        }
     } catch (parseError) {
-        errors.push(`Invalid YAML in metadata file: ${parseError.message}`);
+        errors.push(parseError.message);
+    }
+}
+
+async function validateStructure(sourceDir, metadata, errors, warnings) {
+    const chapterFiles = await findChapterFiles(sourceDir);
+    const { missing, unlisted } = resolveStructure(metadata, chapterFiles);
+    
+    missing.forEach(file => {
+        errors.push(`Chapter listed in structure not found: ${file}`);
+    });
+    
+    unlisted.forEach(file => {
+        warnings.push(`Chapter ${file} is not listed in structure and will not be built`);
+    });
+    
+    (metadata.structure.parts || []).forEach((part, index) => {
+        if (!part.title) {
+            warnings.push(`Part at index ${index} has no title`);
+        }
+        if (!part.chapters || part.chapters.length === 0) {
+            warnings.push(`Part "${part.title || index + 1}" has no chapters`);
+        }
+    });
+}
+
+async function validateSample(sourceDir, sample, errors) {
+    const files = [
+        ...await findChapterFiles(sourceDir),
+        ...await findMatterFiles(sourceDir, 'frontmatter'),
+        ...await findMatterFiles(sourceDir, 'backmatter')
+    ];
+    
+    sample.forEach(entry => {
+        const file = String(entry).endsWith('.md') ? String(entry) : `${entry}.md`;
+        if (!files.includes(file)) {
+            errors.push(`Sample file listed in leanpub.sample not found: ${file}`);
+        }
+    });
+}
+
+async function validateReferences(options, errors) {
+    let references;
+    try {
+        const book = await loadBook({ sourceDir: options.sourceDir, configFile: options.configFile, includeDrafts: true });
+        references = buildReferenceIndex(book);
+    } catch (error) {
+        // Metadata, structure, numbering and front matter errors are reported by the other checks
+        return;
+    }
+    
+    references.duplicates.forEach(({ label, file, line, first }) => {
+        errors.push(`Duplicate label {#${label}} in ${file} at line ${line}, already used in ${first}`);
+    });
+    references.unresolved.forEach(({ label, file, line }) => {
+        errors.push(`Unresolved reference @ref(${label}) in ${file} at line ${line}`);
+    });
+}
+
+async function validateMatter(sourceDir, errors, warnings) {
+    for (const matter of ['frontmatter', 'backmatter']) {
+        for (const file of await findMatterFiles(sourceDir, matter)) {
+            let section;
+            try {
+                section = await parseChapter(path.join(sourceDir, matter, file));
+            } catch (parseError) {
+                errors.push(parseError.message);
+                continue;
+            }
+            
+            if (!section.headings.some(heading => heading.level === 1)) {
+                warnings.push(`${matter}/${file} missing main title (# heading)`);
+            }
+            
+            for (const admonition of listAdmonitions(section.body)) {
+                if (!admonition.closed) {
+                    errors.push(`Admonition ":::${admonition.type}" in ${matter}/${file} is missing its closing ":::"`);
+                }
+            }
+        }
     }
 }
 
-async function validateChapters(errors, warnings) {
-    const chaptersDir = 'src/chapters';
+async function validateChapters(sourceDir, errors, warnings) {
+    const chaptersDir = path.join(sourceDir, 'chapters');
     
     if (!await fs.pathExists(chaptersDir)) {
-        return; // Already reported as missing directory
+        return []; // Already reported as missing directory
     }
     
-    const files = await fs.readdir(chaptersDir);
-    const markdownFiles = files.filter(file => file.endsWith('.md')).sort();
+    const markdownFiles = await findChapterFiles(sourceDir);
     
     if (markdownFiles.length === 0) {
-        errors.push('No chapter files found in src/chapters/');
-        return;
+        errors.push(`No chapter files found in ${chaptersDir}/`);
+        return [];
     }
     
     // Check chapter naming convention
@@ -143,41 +273,129 @@ async function validateChapters(errors, warnings) {
     }
     
     // Validate each chapter
+    const statuses = [];
+    const slugs = new Map();
     for (const file of markdownFiles) {
-        const filePath = path.join(chaptersDir, file);
-        const content = await fs.readFile(filePath, 'utf8');
+        let chapter;
+        try {
+            chapter = await parseChapter(path.join(chaptersDir, file));
+        } catch (parseError) {
+            errors.push(parseError.message);
+            continue;
+        }
+        
+        // Check front matter fields
+        validateFrontMatter(file, chapter.frontMatter, errors, warnings);
+        
+        if (slugs.has(chapter.slug)) {
+            errors.push(`Chapters ${slugs.get(chapter.slug)} and ${file} share the slug "${chapter.slug}"`);
+        } else {
+            slugs.set(chapter.slug, file);
+        }
         
         // Check for title
-        if (!content.match(/^#\s+.+$/m)) {
+        if (!chapter.headings.some(heading => heading.level === 1)) {
             warnings.push(`Chapter ${file} missing main title (# heading)`);
         }
         
         // Check for very short chapters
-        const wordCount = content.split(/\s+/).length;
+        const wordCount = chapter.body.split(/\s+/).length;
         if (wordCount < 100) {
             warnings.push(`Chapter ${file} is very short (${wordCount} words)`);
         }
         
+        statuses.push({
+            file,
+            title: chapter.title,
+            status: chapter.status,
+            words: wordCount
+        });
+        
         // Check for broken image references
-        const imageRefs = content.match(/!\[.*?\]\(([^)]+)\)/g);
-        if (imageRefs) {
-            for (const ref of imageRefs) {
-                const imagePath = ref.match(/!\[.*?\]\(([^)]+)\)/)[1];
-                if (imagePath.startsWith('../images/')) {
-                    const fullImagePath = path.join('src', imagePath.replace('../', ''));
-                    if (!await fs.pathExists(fullImagePath)) {
-                        errors.push(`Broken image reference in ${file}: ${imagePath}`);
-                    }
+        for (const image of chapter.images) {
+            if (image.src.startsWith('../images/')) {
+                const fullImagePath = path.join(sourceDir, image.src.replace('../', ''));
+                if (!await fs.pathExists(fullImagePath)) {
+                    errors.push(`Broken image reference in ${file}: ${image.src}`);
                 }
             }
         }
+        
+        // Check that every admonition is closed
+        for (const admonition of listAdmonitions(chapter.body)) {
+            if (!admonition.closed) {
+                errors.push(`Admonition ":::${admonition.type}" in ${file} is missing its closing ":::"`);
+            }
+        }
+        
+        // Check that every note reference has a definition, and the other way round
+        const footnotes = checkFootnotes(chapter.body);
+        footnotes.missing.forEach(({ label, line }) => {
+            errors.push(`Footnote [^${label}] in ${file} at line ${line} has no definition`);
+        });
+        footnotes.duplicates.forEach(({ label, line }) => {
+            errors.push(`Footnote [^${label}] in ${file} is defined again at line ${line}`);
+        });
+        footnotes.unused.forEach(({ label, line }) => {
+            warnings.push(`Footnote [^${label}] in ${file} at line ${line} is never referenced`);
+        });
     }
     
     console.log(`📚 Found ${markdownFiles.length} chapter(s)`);
+    
+    return statuses;
+}
+
+function printStatusSummary(statuses) {
+    const icons = { draft: '📝', review: '👀', final: '✅' };
+    
+    console.log('\n📝 Chapter Status');
+    console.log('='.repeat(50));
+    
+    statuses.forEach(chapter => {
+        const title = chapter.title.length > 28 ? `${chapter.title.slice(0, 27)}…` : chapter.title;
+        console.log(`${icons[chapter.status]} ${title.padEnd(29)} ${chapter.status.padEnd(7)} ${chapter.words.toString().padStart(6)} words`);
+    });
+    
+    console.log('='.repeat(50));
+    const counts = CHAPTER_STATUSES.map(status => {
+        const count = statuses.filter(chapter => chapter.status === status).length;
+        return `${count} ${status}`;
+    });
+    console.log(counts.join(' • '));
+    
+    const remaining = statuses.filter(chapter => chapter.status !== 'final').length;
+    if (remaining > 0) {
+        console.log(`${remaining} chapter(s) not yet final (drafts are left out of published builds)`);
+    }
+}
+
+function validateFrontMatter(file, frontMatter, errors, warnings) {
+    const knownFields = ['title', 'subtitle', 'slug', 'description', 'status', 'draft', 'sample', 'authors', 'tags'];
+    
+    Object.keys(frontMatter).forEach(field => {
+        if (!knownFields.includes(field)) {
+            warnings.push(`Unknown front matter field in ${file}: ${field}`);
+        }
+    });
+    
+    ['draft', 'sample'].forEach(field => {
+        if (field in frontMatter && typeof frontMatter[field] !== 'boolean') {
+            errors.push(`Front matter field "${field}" in ${file} must be true or false`);
+        }
+    });
+    
+    if ('status' in frontMatter && !CHAPTER_STATUSES.includes(String(frontMatter.status).toLowerCase())) {
+        errors.push(`Front matter field "status" in ${file} must be one of: ${CHAPTER_STATUSES.join(', ')}`);
+    }
+    
+    if ('tags' in frontMatter && !Array.isArray(frontMatter.tags)) {
+        warnings.push(`Front matter field "tags" in ${file} should be a list`);
+    }
 }
 
-async function validateImages(errors, warnings) {
-    const imagesDir = 'src/images';
+async function validateImages(sourceDir, errors, warnings) {
+    const imagesDir = path.join(sourceDir, 'images');
     
     if (!await fs.pathExists(imagesDir)) {
         return; // Already reported as missing directory
@@ -189,7 +407,7 @@ async function validateImages(errors, warnings) {
     );
     
     if (imageFiles.length === 0) {
-        warnings.push('No image files found in src/images/');
+        warnings.push(`No image files found in ${imagesDir}/`);
     } else {
         console.log(`🖼️  Found ${imageFiles.length} image(s)`);
         
@@ -217,7 +435,7 @@ async function validateImages(errors, warnings) {
 
 // Run the script
 if (require.main === module) {
-    validate();
+    validate().catch(error => handleCliError(error));
 }
 
 module.exports = validate;
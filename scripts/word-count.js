@@ -2,30 +2,27 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const { DEFAULT_SOURCE_DIR, loadBook } = require('./manuscript');
+const { BookError, handleCliError } = require('./errors');
 
-async function countWords() {
+async function countWords(options = {}) {
     console.log('📊 Counting words...');
     
     try {
-        const chaptersDir = 'src/chapters';
-        
-        if (!await fs.pathExists(chaptersDir)) {
+        if (!await fs.pathExists(path.join(options.sourceDir || DEFAULT_SOURCE_DIR, 'chapters'))) {
             console.log('No chapters directory found.');
             return;
         }
         
-        const chapterFiles = await fs.readdir(chaptersDir);
-        const markdownFiles = chapterFiles.filter(file => file.endsWith('.md'));
+        // Drafts count towards the manuscript's size
+        const book = await loadBook({ ...options, includeDrafts: true });
         
         let totalWords = 0;
         const chapterStats = [];
         
-        for (const file of markdownFiles.sort()) {
-            const filePath = path.join(chaptersDir, file);
-            const content = await fs.readFile(filePath, 'utf8');
-            
+        for (const chapter of book.chapters) {
             // Remove markdown syntax and count words
-            const plainText = content
+            const plainText = chapter.body
                 .replace(/^#{1,6}\s+/gm, '') // Remove headers
                 .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold
                 .replace(/\*(.*?)\*/g, '$1') // Remove italic
@@ -44,9 +41,10 @@ async function countWords() {
             
             totalWords += words;
             chapterStats.push({
-                file,
+                file: chapter.file,
                 words,
-                title: extractTitle(content)
+                title: chapter.title,
+                status: chapter.status
             });
         }
         
@@ -72,20 +70,21 @@ async function countWords() {
         const estimatedPages = Math.ceil(totalWords / 250);
         console.log(`Estimated pages: ${estimatedPages}`);
         
+        return {
+            chapters: chapterStats,
+            totalWords,
+            readingTimeMinutes,
+            estimatedPages
+        };
+        
     } catch (error) {
-        console.error('❌ Error counting words:', error.message);
-        process.exit(1);
+        throw new BookError(`Error counting words: ${error.message}`, { cause: error });
     }
 }
 
-function extractTitle(content) {
-    const titleMatch = content.match(/^#\s+(.+)$/m);
-    return titleMatch ? titleMatch[1] : 'Untitled';
-}
-
 // Run the script
 if (require.main === module) {
-    countWords();
+    countWords().catch(error => handleCliError(error));
 }
 
 module.exports = countWords;
@@ -0,0 +1,148 @@
+/**
+ * Zip archives for EPUB files
+ * Just enough of the format to read the EPUBs Pandoc writes and write them
+ * back after the build has added to their navigation
+ */
+
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Read every file of a zip archive
+ * Supports the stored and deflated entries that EPUB writers produce
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Map<string, Buffer>} File contents by path
+ */
+function readZipEntries(buffer) {
+    let end = buffer.length - 22;
+    while (end >= 0 && buffer.readUInt32LE(end) !== END_OF_CENTRAL_DIRECTORY) {
+        end--;
+    }
+    if (end < 0) {
+        throw new Error('Not a zip archive');
+    }
+    
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = new Map();
+    
+    for (let index = 0; index < count; index++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new Error('Corrupt zip central directory');
+        }
+        
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Corrupt zip entry: ${name}`);
+        }
+        
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        
+        if (!name.endsWith('/')) {
+            entries.set(name, method === 8 ? zlib.inflateRawSync(data) : data);
+        }
+        
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    
+    return entries;
+}
+
+// Entries are dated 1980-01-01, the zip epoch, so unchanged books give identical files
+const DOS_DATE = (1 << 5) | 1;
+const UTF8_NAMES = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write a zip archive
+ * Entries are written in order; the ones listed in stored are not compressed,
+ * as EPUB requires for the mimetype file that opens the archive
+ * @param {Map<string, Buffer>} entries - File contents by path
+ * @param {Array<string>} [stored] - Paths to store without compression
+ * @returns {Buffer} Zip archive
+ */
+function writeZipEntries(entries, stored = []) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    for (const [name, content] of entries) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const data = Buffer.from(content);
+        const method = stored.includes(name) ? 0 : 8;
+        const compressed = method === 8 ? zlib.deflateRawSync(data) : data;
+        const crc = crc32(data);
+        
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_NAMES, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(0, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+        localParts.push(local, nameBuffer, compressed);
+        
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_NAMES, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, nameBuffer);
+        
+        offset += local.length + nameBuffer.length + compressed.length;
+    }
+    
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(entries.size, 8);
+    end.writeUInt16LE(entries.size, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = {
+    readZipEntries,
+    writeZipEntries
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MarkdownIt = require('markdown-it');
+const {
+    parseAdmonition,
+    listAdmonitions,
+    toPandocAdmonitions,
+    toLeanpubAdmonitions,
+    markdownItAdmonitions
+} = require('../scripts/admonitions');
+
+const WARNING = ':::warning Back up first\nThis deletes **files**.\n:::';
+
+test('parseAdmonition reads the type and the optional title', () => {
+    assert.deepStrictEqual(parseAdmonition('warning Back up first'), { type: 'warning', title: 'Back up first', customTitle: true });
+    assert.deepStrictEqual(parseAdmonition('Tip'), { type: 'tip', title: 'Tip', customTitle: false });
+    assert.strictEqual(parseAdmonition('sidebar'), null);
+    assert.strictEqual(parseAdmonition(''), null);
+});
+
+test('listAdmonitions skips code blocks and flags unclosed admonitions', () => {
+    const markdown = ['```', ':::note', '```', '', ':::danger', 'Hot', ':::', '', ':::tip', 'Open'].join('\n');
+    
+    assert.deepStrictEqual(listAdmonitions(markdown).map(({ type, line, closed }) => ({ type, line, closed })), [
+        { type: 'danger', line: 5, closed: true },
+        { type: 'tip', line: 9, closed: false }
+    ]);
+});
+
+test('toPandocAdmonitions writes titled divs and keeps other fenced divs', () => {
+    const output = toPandocAdmonitions(`${WARNING}\n\n::: sidebar\nkept\n:::`);
+    
+    assert.match(output, /::: \{\.admonition \.admonition-warning\}\n::: admonition-title\nBack up first\n:::\n\nThis deletes \*\*files\*\*\.\n:::/);
+    assert.match(output, /::: sidebar\nkept\n:::/);
+});
+
+test('toLeanpubAdmonitions uses native asides and headings for custom titles', () => {
+    assert.strictEqual(toLeanpubAdmonitions(':::tip\nUse the cache.\n:::').trim(), 'T> Use the cache.');
+    assert.strictEqual(toLeanpubAdmonitions(WARNING).trim(), 'W> ## Back up first\nW>\nW> This deletes **files**.');
+    assert.strictEqual(toLeanpubAdmonitions(':::note\nRead on.\n:::').trim(), 'A> ## Note\nA>\nA> Read on.');
+});
+
+test('markdownItAdmonitions renders a titled div', () => {
+    const md = new MarkdownIt().use(markdownItAdmonitions);
+    
+    assert.strictEqual(md.render(WARNING), [
+        '<div class="admonition admonition-warning" role="note">',
+        '<p class="admonition-title">Back up first</p>',
+        '<p>This deletes <strong>files</strong>.</p>',
+        '</div>',
+        ''
+    ].join('\n'));
+    assert.strictEqual(md.render('    :::note\n    code'), '<pre><code>:::note\ncode\n</code></pre>\n');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { combinePages } = require('../scripts/book-page');
+
+const PAGES = [
+    {
+        id: 'intro',
+        files: ['intro.html', '01-intro.md'],
+        html: '<h1 id="intro-title">Intro</h1><h2 id="summary">Summary</h2><a href="#summary">up</a> <a href="setup.html#install">setup</a>'
+    },
+    {
+        id: 'setup',
+        files: ['setup.html', '02-setup.md'],
+        html: '<h2 id="install">Install</h2><h2 id="summary">Summary</h2><img src="../images/arch.png"> <a href="01-intro.md">back</a> <a href="https://example.com">out</a> <a href="glossary.html">more</a>'
+    }
+];
+
+test('combinePages prefixes the ids more than one page uses', () => {
+    const [intro, setup] = combinePages(PAGES).pages;
+    
+    assert.match(intro.html, /<h1 id="intro-title">/);
+    assert.match(intro.html, /<h2 id="intro-summary">Summary<\/h2><a href="#intro-summary">up<\/a>/);
+    assert.match(setup.html, /<h2 id="install">Install<\/h2><h2 id="setup-summary">/);
+});
+
+test('combinePages turns links between pages into links within the document', () => {
+    const { pages, resolve } = combinePages(PAGES);
+    const [intro, setup] = pages;
+    
+    assert.match(intro.html, /<a href="#install">setup<\/a>/);
+    assert.match(setup.html, /<img src="images\/arch\.png"> <a href="#intro">back<\/a> <a href="https:\/\/example\.com">out<\/a> <a href="chapters\/glossary\.html">more<\/a>/);
+    assert.strictEqual(resolve('setup.html#summary'), '#setup-summary');
+    assert.strictEqual(resolve('#summary'), '#summary');
+    assert.strictEqual(resolve('/feed.xml'), '/feed.xml');
+});
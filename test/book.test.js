@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const BOOK = path.join(__dirname, '..', 'scripts', 'book.js');
+
+function runBook(...args) {
+    return spawnSync(process.execPath, [BOOK, ...args], { encoding: 'utf8' });
+}
+
+function runBookIn(cwd, ...args) {
+    return spawnSync(process.execPath, [BOOK, ...args], { cwd, encoding: 'utf8' });
+}
+
+test('unknown options exit with the usage error code', () => {
+    const result = runBook('build', '--bogus');
+    
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Unknown option '--bogus'/);
+});
+
+test('options missing their value exit with the usage error code', () => {
+    const result = runBook('dev', '--port');
+    
+    assert.strictEqual(result.status, 2);
+});
+
+test('clean removes only the build output under --out-dir', async () => {
+    const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'book-clean-'));
+    const outDir = path.join(cwd, 'out');
+    await fs.outputFile(path.join(outDir, 'web', 'index.html'), '<html></html>');
+    await fs.outputFile(path.join(outDir, 'build-report.json'), '{}');
+    await fs.outputFile(path.join(outDir, 'notes.txt'), 'keep me');
+    
+    try {
+        const result = runBookIn(cwd, 'clean', '-o', 'out', '--quiet');
+        
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(await fs.readFile(path.join(outDir, 'notes.txt'), 'utf8'), 'keep me');
+        assert.strictEqual(await fs.pathExists(path.join(outDir, 'web')), false);
+        assert.strictEqual(await fs.pathExists(path.join(outDir, 'build-report.json')), false);
+    } finally {
+        await fs.remove(cwd);
+    }
+});
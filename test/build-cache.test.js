@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createBuildResult } = require('../scripts/build-result');
+const {
+    hashContent,
+    hashFiles,
+    hashDirectory,
+    openBuildCache,
+    restoreBuildResult,
+    storeBuildResult
+} = require('../scripts/build-cache');
+
+async function withDir(callback) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'book-cache-'));
+    try {
+        await callback(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test('hashes change with the content they cover', () => withDir(async dir => {
+    const file = path.join(dir, 'chapter.md');
+    await fs.outputFile(file, '# Intro');
+    const before = await hashFiles([file]);
+    const listing = await hashDirectory(dir);
+    
+    assert.strictEqual(hashContent('a', { b: 1 }), hashContent('a', { b: 1 }));
+    assert.notStrictEqual(hashContent('ab', 'c'), hashContent('a', 'bc'));
+    
+    await fs.outputFile(file, '# Introduction');
+    assert.notStrictEqual(await hashFiles([file]), before);
+    assert.notStrictEqual(await hashDirectory(dir), listing);
+    assert.strictEqual(await hashFiles([path.join(dir, 'missing.md')]), hashContent(path.join(dir, 'missing.md'), ''));
+}));
+
+test('lookup finds entries whose hash matches and whose outputs exist', () => withDir(async dir => {
+    const cacheDir = path.join(dir, '.cache');
+    const output = path.join(dir, 'book.pdf');
+    await fs.outputFile(output, 'pdf');
+    
+    const cache = await openBuildCache('pdf', { cacheDir });
+    cache.store(output, 'hash-1', { outputs: [output] });
+    await cache.save();
+    
+    const reopened = await openBuildCache('pdf', { cacheDir });
+    assert.deepStrictEqual(await reopened.lookup(output, 'hash-1'), { outputs: [output], hash: 'hash-1' });
+    assert.strictEqual(await reopened.lookup(output, 'hash-2'), null);
+    assert.strictEqual(await reopened.lookup('other', 'hash-1'), null);
+    
+    await fs.remove(output);
+    assert.strictEqual(await reopened.lookup(output, 'hash-1'), null);
+}));
+
+test('force, forget and edited builder sources invalidate entries', () => withDir(async dir => {
+    const cacheDir = path.join(dir, '.cache');
+    const source = path.join(dir, 'builder.js');
+    const output = path.join(dir, 'index.html');
+    await fs.outputFile(source, 'v1');
+    await fs.outputFile(output, '<html></html>');
+    
+    const cache = await openBuildCache('web', { cacheDir, sources: [source] });
+    cache.store(output, 'hash');
+    await cache.save();
+    
+    assert.ok(await (await openBuildCache('web', { cacheDir, sources: [source] })).lookup(output, 'hash'));
+    assert.strictEqual(await (await openBuildCache('web', { cacheDir, sources: [source], force: true })).lookup(output, 'hash'), null);
+    
+    cache.forget([output]);
+    assert.strictEqual(await cache.lookup(output, 'hash'), null);
+    
+    // The entry is still saved, but a different builder wrote it
+    await fs.outputFile(source, 'v2');
+    assert.strictEqual(await (await openBuildCache('web', { cacheDir, sources: [source] })).lookup(output, 'hash'), null);
+}));
+
+test('build results are stored and restored with their outputs and warnings', () => withDir(async dir => {
+    const cacheDir = path.join(dir, '.cache');
+    const output = path.join(dir, 'book.epub');
+    await fs.outputFile(output, 'epub');
+    
+    const built = createBuildResult('kindle');
+    built.outputs.push(output);
+    built.warnings.push('Calibre not found');
+    await storeBuildResult(await openBuildCache('kindle', { cacheDir }), 'kindle', 'hash', built);
+    
+    const restored = createBuildResult('kindle');
+    const cache = await openBuildCache('kindle', { cacheDir });
+    assert.strictEqual(await restoreBuildResult(cache, 'kindle', 'hash', restored), true);
+    assert.deepStrictEqual(restored.outputs, [output]);
+    assert.deepStrictEqual(restored.cached, [output]);
+    assert.deepStrictEqual(restored.warnings, ['Calibre not found']);
+    
+    assert.strictEqual(await restoreBuildResult(cache, 'kindle', 'other', createBuildResult('kindle')), false);
+}));
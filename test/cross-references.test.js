@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const MarkdownIt = require('markdown-it');
+const { loadBook } = require('../scripts/manuscript');
+const {
+    buildReferenceIndex,
+    findReferences,
+    resolveReferences,
+    linkWithinDocument,
+    toPandocLabels,
+    markdownItLabels
+} = require('../scripts/cross-references');
+
+const INTRO = [
+    '# Intro {#ch:intro}',
+    '',
+    'See @ref(sec:install), @ref(tbl:formats) and `@ref(sec:install)`.',
+    '',
+    '```',
+    '@ref(fig:arch)',
+    '```',
+    '',
+    '## Background {#sec:back .unnumbered}'
+].join('\n');
+
+const SETUP = [
+    '# Setup',
+    '',
+    '## Install {#sec:install}',
+    '',
+    '![Architecture](arch.png){#fig:arch}',
+    '',
+    '| Format | Tool |',
+    '|--------|------|',
+    '| PDF    | TeX  |',
+    '',
+    'Table: Formats {#tbl:formats}',
+    '',
+    'See @ref(sec:back), @ref(fig:unknown) and @ref(ch:intro).',
+    '',
+    '## Again {#fig:arch}'
+].join('\n');
+
+async function withBook(callback) {
+    const sourceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'book-references-'));
+    await fs.outputFile(path.join(sourceDir, 'metadata/book.yaml'), 'title: Test Book\n');
+    await fs.outputFile(path.join(sourceDir, 'chapters/01-intro.md'), INTRO);
+    await fs.outputFile(path.join(sourceDir, 'chapters/02-setup.md'), SETUP);
+    
+    try {
+        await callback(await loadBook({ sourceDir }));
+    } finally {
+        await fs.remove(sourceDir);
+    }
+}
+
+test('findReferences skips code spans and code blocks', () => {
+    assert.deepStrictEqual(findReferences(INTRO), [
+        { label: 'sec:install', line: 3 },
+        { label: 'tbl:formats', line: 3 }
+    ]);
+});
+
+test('buildReferenceIndex numbers every label and reports duplicate and unknown labels', () => withBook(book => {
+    const index = buildReferenceIndex(book);
+    const target = label => {
+        const { kind, number, title } = index.targets.get(label);
+        return { kind, number, title };
+    };
+    
+    assert.deepStrictEqual(target('ch:intro'), { kind: 'chapter', number: '1', title: 'Intro' });
+    assert.deepStrictEqual(target('sec:back'), { kind: 'section', number: null, title: 'Background' });
+    assert.deepStrictEqual(target('sec:install'), { kind: 'section', number: '2.1', title: 'Install' });
+    assert.deepStrictEqual(target('fig:arch'), { kind: 'section', number: '2.2', title: 'Again' });
+    assert.deepStrictEqual(target('tbl:formats'), { kind: 'table', number: '2.1', title: 'Formats' });
+    assert.deepStrictEqual(index.duplicates, [{ label: 'fig:arch', file: '02-setup.md', line: 5, first: '02-setup.md' }]);
+    assert.deepStrictEqual(index.unresolved, [{ label: 'fig:unknown', file: '02-setup.md', line: 13 }]);
+}));
+
+test('resolveReferences links known labels and leaves unknown ones as written', () => withBook(book => {
+    const index = buildReferenceIndex(book);
+    const setup = resolveReferences(book.chapters[1].body, index, linkWithinDocument([book.chapters[1]]));
+    const intro = resolveReferences(book.chapters[0].body, index, target => `${target.chapter.slug}.html#${target.label}`);
+    
+    // Targets outside the document are plain text, unnumbered ones their title
+    assert.match(setup, /^See Background, @ref\(fig:unknown\) and Chapter 1\.$/m);
+    assert.match(intro, /^See \[Section 2\.1\]\(02-setup\.html#sec:install\), \[Table 2\.1\]\(02-setup\.html#tbl:formats\) and `@ref\(sec:install\)`\.$/m);
+    assert.match(intro, /^@ref\(fig:arch\)$/m);
+}));
+
+test('toPandocLabels moves table labels to a span before the table', () => {
+    const output = toPandocLabels(SETUP);
+    
+    assert.match(output, /\[\]\{#tbl:formats\}\n\n\| Format \| Tool \|/);
+    assert.match(output, /^Table: Formats$/m);
+});
+
+test('markdownItLabels sets heading and table caption ids', () => {
+    const html = new MarkdownIt().use(markdownItLabels).render(SETUP);
+    
+    assert.match(html, /<h2 id="sec:install">Install<\/h2>/);
+    assert.match(html, /<p class="table-caption" id="tbl:formats">Formats<\/p>/);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('../scripts/errors');
+const { readZipEntries, writeZipEntries } = require('../scripts/zip');
+const {
+    resolvePageList,
+    resolveIdentifier,
+    resolveSeries,
+    addEpubType,
+    addPageBreaks,
+    finishEpub
+} = require('../scripts/epub');
+
+const CONTAINER = `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="EPUB/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`;
+
+const PACKAGE = `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+<metadata><dc:title>Test Book</dc:title>
+</metadata>
+<manifest>
+  <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+  <item id="cover" href="text/cover.xhtml" media-type="application/xhtml+xml"/>
+  <item id="ch001" href="text/ch001.xhtml" media-type="application/xhtml+xml"/>
+  <item id="ch002" href="text/ch002.xhtml" media-type="application/xhtml+xml"/>
+</manifest>
+<spine><itemref idref="cover"/><itemref idref="nav"/><itemref idref="ch001"/><itemref idref="ch002"/></spine>
+</package>`;
+
+const NAV = `<html xmlns:epub="http://www.idpf.org/2007/ops"><body>
+<nav epub:type="toc" id="toc"><ol><li><a href="text/ch001.xhtml">Intro</a></li></ol></nav>
+<nav epub:type="landmarks" id="landmarks"><ol><li><a href="text/ch001.xhtml">Pandoc's own</a></li></ol></nav>
+</body></html>`;
+
+const page = number => `<span epub:type="pagebreak" id="page-${number}" role="doc-pagebreak" aria-label="${number}"></span>`;
+
+test('resolvePageList, resolveIdentifier and resolveSeries check book.yaml', () => {
+    assert.strictEqual(resolvePageList({}), 250);
+    assert.strictEqual(resolvePageList({ kindle: { page_list: false } }), 0);
+    assert.strictEqual(resolvePageList({ kindle: { page_list: 300 } }), 300);
+    assert.throws(() => resolvePageList({ kindle: { page_list: -1 } }), ConfigError);
+    
+    assert.deepStrictEqual(resolveIdentifier({ isbn: '978-0-306-40615-7' }), { scheme: 'ISBN-13', text: '9780306406157' });
+    assert.throws(() => resolveIdentifier({ isbn: '978-0-306-40615-8' }), /valid check digit/);
+    assert.deepStrictEqual(resolveIdentifier({ title: 'Test Book' }), resolveIdentifier({ title: 'Test Book' }));
+    assert.match(resolveIdentifier({ title: 'Test Book' }).text, /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    
+    assert.deepStrictEqual(resolveSeries({ series: 'Guides' }), { title: 'Guides', number: null });
+    assert.deepStrictEqual(resolveSeries({ series: { title: 'Guides', number: 2 } }), { title: 'Guides', number: 2 });
+    assert.throws(() => resolveSeries({ series: { title: 'Guides', number: 0 } }), ConfigError);
+});
+
+test('addEpubType types the level 1 heading and returns its id', () => {
+    assert.deepStrictEqual(addEpubType('# [1]{.section-number} Intro {#intro}\n\nText', 'chapter'), {
+        markdown: '# [1]{.section-number} Intro {#intro epub:type=chapter}\n\nText',
+        id: 'intro'
+    });
+    assert.deepStrictEqual(addEpubType('# Preface\n\nText', 'preface'), { markdown: '# Preface {epub:type=preface}\n\nText', id: 'preface' });
+    assert.deepStrictEqual(addEpubType('Text only', 'chapter'), { markdown: 'Text only', id: null });
+});
+
+test('addPageBreaks starts a page at the first paragraph after every page of words', () => {
+    const pages = { wordsPerPage: 4, words: 0, count: 0 };
+    const first = addPageBreaks('# Intro\n\nOne two three four five.\n\n- a list item\n\nSix seven.', pages);
+    const second = addPageBreaks('```\ncode here\n```\n\nEight nine.', pages);
+    
+    assert.strictEqual(first, `# Intro\n\n${page(1)}One two three four five.\n\n- a list item\n\n${page(2)}Six seven.`);
+    // Code blocks are left alone, and the count carries over to the next section
+    assert.strictEqual(second, `\`\`\`\ncode here\n\`\`\`\n\n${page(3)}Eight nine.`);
+    assert.deepStrictEqual(pages, { wordsPerPage: 4, words: 15, count: 3 });
+    assert.strictEqual(addPageBreaks('Text', { wordsPerPage: 0 }), 'Text');
+});
+
+test('finishEpub replaces the landmarks and adds a page-list', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'book-epub-'));
+    const filePath = path.join(dir, 'book.epub');
+    await fs.writeFile(filePath, writeZipEntries(new Map([
+        ['mimetype', Buffer.from('application/epub+zip')],
+        ['META-INF/container.xml', Buffer.from(CONTAINER)],
+        ['EPUB/content.opf', Buffer.from(PACKAGE)],
+        ['EPUB/nav.xhtml', Buffer.from(NAV)],
+        ['EPUB/text/cover.xhtml', Buffer.from('<section epub:type="cover"><img src="cover.jpg"/></section>')],
+        ['EPUB/text/ch001.xhtml', Buffer.from(`<h1 id="intro">Intro</h1>${page(1)}<p>One</p>`)],
+        ['EPUB/text/ch002.xhtml', Buffer.from(`<h1 id="about">About</h1>${page(2)}<p>Two</p>`)]
+    ]), ['mimetype']));
+    
+    try {
+        const result = await finishEpub(filePath, { bodymatter: 'intro', backmatter: 'about' });
+        const files = readZipEntries(await fs.readFile(filePath));
+        const nav = files.get('EPUB/nav.xhtml').toString('utf8');
+        
+        assert.deepStrictEqual(result, {
+            landmarks: { cover: 'text/cover.xhtml', toc: '#toc', bodymatter: 'text/ch001.xhtml#intro', backmatter: 'text/ch002.xhtml#about' },
+            pages: 2
+        });
+        assert.doesNotMatch(nav, /Pandoc's own/);
+        assert.match(nav, /<li><a href="text\/ch001\.xhtml#intro" epub:type="bodymatter">Start of Content<\/a><\/li>/);
+        assert.match(nav, /<nav epub:type="page-list" id="page-list" hidden="hidden">[\s\S]*<li><a href="text\/ch002\.xhtml#page-2">2<\/a><\/li>/);
+        assert.match(files.get('EPUB/content.opf').toString('utf8'), /<meta property="schema:accessibilityFeature">pageNavigation<\/meta>\n<\/metadata>/);
+        assert.strictEqual([...files.keys()][0], 'mimetype');
+    } finally {
+        await fs.remove(dir);
+    }
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConfigError } = require('../scripts/errors');
+const {
+    resolveNotes,
+    checkFootnotes,
+    extractFootnotes,
+    placeFootnotes,
+    formatEndnotes
+} = require('../scripts/footnotes');
+
+const CHAPTER = [
+    'Pandoc reads Markdown.[^pandoc] Inline notes too.^[Like [this] one.]',
+    'Again[^pandoc], but not `[^code]` or [^missing].',
+    '',
+    '[^pandoc]: See pandoc.org.',
+    '    It has a manual.',
+    '',
+    '[^unused]: Never referenced.',
+    '[^pandoc]: Defined twice.'
+].join('\n');
+
+const OPTIONS = { id: '01-intro', format: 'html' };
+
+test('resolveNotes defaults to footnotes and rejects other styles', () => {
+    assert.strictEqual(resolveNotes({}), 'footnotes');
+    assert.strictEqual(resolveNotes({ notes: 'endnotes' }), 'endnotes');
+    assert.throws(() => resolveNotes({ notes: 'sidenotes' }), ConfigError);
+});
+
+test('checkFootnotes reports missing, unused and duplicate notes', () => {
+    assert.deepStrictEqual(checkFootnotes(CHAPTER), {
+        missing: [{ label: 'missing', line: 2 }],
+        unused: [{ label: 'unused', line: 7 }],
+        duplicates: [{ label: 'pandoc', line: 8 }]
+    });
+});
+
+test('extractFootnotes numbers notes in order and links repeated references to the first', () => {
+    const { markdown, notes } = extractFootnotes(CHAPTER, OPTIONS);
+    
+    assert.deepStrictEqual(notes, [
+        { number: 1, id: 'fn-01-intro-1', refId: 'fnref-01-intro-1', text: 'See pandoc.org.\nIt has a manual.' },
+        { number: 2, id: 'fn-01-intro-2', refId: 'fnref-01-intro-2', text: 'Like [this] one.' }
+    ]);
+    assert.match(markdown, /Markdown\.<a class="footnote-ref" href="#fn-01-intro-1" id="fnref-01-intro-1" role="doc-noteref"><sup>1<\/sup><\/a> Inline/);
+    assert.match(markdown, /Again<a class="footnote-ref" href="#fn-01-intro-1" role="doc-noteref"><sup>1<\/sup><\/a>, but not `\[\^code\]` or \[\^missing\]\./);
+    assert.doesNotMatch(markdown, /\[\^pandoc\]:|Never referenced/);
+});
+
+test('placeFootnotes ends the chapter with footnotes or keeps them as endnotes', () => {
+    const footnotes = placeFootnotes(CHAPTER, { ...OPTIONS, format: 'pandoc', style: 'footnotes' });
+    const endnotes = placeFootnotes(CHAPTER, { ...OPTIONS, style: 'endnotes' });
+    
+    assert.deepStrictEqual(footnotes.notes, []);
+    assert.match(footnotes.markdown, /epub:type="noteref"/);
+    assert.match(footnotes.markdown, /<section class="footnotes" epub:type="footnotes" role="doc-endnotes">/);
+    assert.match(footnotes.markdown, /<aside class="footnote" id="fn-01-intro-2" epub:type="footnote" role="doc-footnote">\n\n<a class="footnote-back" href="#fnref-01-intro-2" role="doc-backlink">2<\/a> Like \[this\] one\./);
+    
+    assert.strictEqual(endnotes.notes.length, 2);
+    assert.doesNotMatch(endnotes.markdown, /<section/);
+});
+
+test('formatEndnotes groups notes by chapter under a Notes heading', () => {
+    const { notes } = extractFootnotes(CHAPTER, OPTIONS);
+    const chapters = [
+        { title: 'Intro', id: '01-intro', notes, page: 'intro.html' },
+        { title: 'Usage', id: '02-usage', notes: [] }
+    ];
+    const output = formatEndnotes(chapters, { format: 'html', level: 2 });
+    
+    assert.match(output, /^## Notes \{#notes \.unnumbered\}\n\n### Intro \{#notes-01-intro \.unnumbered\}\n\n<section class="endnotes" role="doc-endnotes">/);
+    assert.match(output, /<div class="endnote" id="fn-01-intro-1">\n\n<a class="footnote-back" href="intro\.html#fnref-01-intro-1" role="doc-backlink">1<\/a>/);
+    assert.doesNotMatch(output, /Usage/);
+    assert.strictEqual(formatEndnotes([chapters[1]], { format: 'html' }), '');
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('../scripts/errors');
+const { slugify, resolveStructure, scanLines, extractHeadings, loadBook, isFirstInPart } = require('../scripts/manuscript');
+
+async function writeBook(files) {
+    const sourceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'book-manuscript-'));
+    for (const [file, content] of Object.entries(files)) {
+        await fs.outputFile(path.join(sourceDir, file), content);
+    }
+    return sourceDir;
+}
+
+test('slugify follows the Pandoc identifier rules', () => {
+    assert.strictEqual(slugify('What\'s *Next*?'), 'whats-next');
+    assert.strictEqual(slugify('2. Getting [Started](intro.md)'), 'getting-started');
+    assert.strictEqual(slugify('???'), 'section');
+});
+
+test('extractHeadings skips code blocks and makes repeated anchors unique', () => {
+    const lines = scanLines([
+        '# Intro',
+        '',
+        '```bash',
+        '# not a heading',
+        '```',
+        '',
+        '## Summary',
+        '## Summary',
+        '## Setup {#install .unnumbered}'
+    ].join('\n'));
+    
+    assert.deepStrictEqual(extractHeadings(lines), [
+        { level: 1, title: 'Intro', anchor: 'intro', labelled: false, line: 1 },
+        { level: 2, title: 'Summary', anchor: 'summary', labelled: false, line: 7 },
+        { level: 2, title: 'Summary', anchor: 'summary-1', labelled: false, line: 8 },
+        { level: 2, title: 'Setup', anchor: 'install', labelled: true, line: 9 }
+    ]);
+});
+
+test('loadBook reads chapters in file order and applies their front matter', async () => {
+    const sourceDir = await writeBook({
+        'metadata/book.yaml': 'title: Test Book\n',
+        'chapters/02-usage.md': '# Usage\n\nText.\n',
+        'chapters/01-intro.md': '---\ntitle: Welcome\nslug: Start Here\nauthors: Ann & Bob\n---\n\n# Intro\n\n![Logo](../images/logo.png)\n',
+        'chapters/03-later.md': '---\ndraft: true\n---\n# Later\n',
+        'frontmatter/preface.md': '# Preface\n',
+        'frontmatter/dedication.md': '# For Ada\n'
+    });
+    
+    try {
+        const book = await loadBook({ sourceDir });
+        const [intro, usage] = book.chapters;
+        
+        assert.strictEqual(book.metadata.title, 'Test Book');
+        assert.deepStrictEqual(book.chapters.map(chapter => chapter.file), ['01-intro.md', '02-usage.md']);
+        assert.deepStrictEqual(book.skippedDrafts, ['03-later.md']);
+        assert.deepStrictEqual(book.frontMatter.map(section => section.file), ['dedication.md', 'preface.md']);
+        
+        assert.strictEqual(intro.title, 'Welcome');
+        assert.strictEqual(intro.slug, 'start-here');
+        assert.strictEqual(intro.number, '01');
+        assert.deepStrictEqual(intro.authors, ['Ann', 'Bob']);
+        assert.match(intro.body, /^# Welcome\n/);
+        assert.deepStrictEqual(intro.images.map(image => image.src), ['../images/logo.png']);
+        assert.strictEqual(usage.status, 'final');
+        
+        const drafts = await loadBook({ sourceDir, includeDrafts: true });
+        assert.strictEqual(drafts.chapters.length, 3);
+        assert.strictEqual(drafts.chapters[2].status, 'draft');
+    } finally {
+        await fs.remove(sourceDir);
+    }
+});
+
+test('loadBook reports invalid metadata and front matter as config errors', async () => {
+    const sourceDir = await writeBook({
+        'metadata/book.yaml': 'title: [unclosed\n',
+        'chapters/01-intro.md': '# Intro\n'
+    });
+    
+    try {
+        await assert.rejects(loadBook({ sourceDir }), error => error instanceof ConfigError && /Invalid YAML in .*book\.yaml/.test(error.message));
+        
+        await fs.outputFile(path.join(sourceDir, 'metadata/book.yaml'), 'title: Test Book\n');
+        await fs.outputFile(path.join(sourceDir, 'chapters/01-intro.md'), '---\ntitle: [unclosed\n---\n# Intro\n');
+        await assert.rejects(loadBook({ sourceDir }), /Invalid front matter in 01-intro\.md/);
+        
+        await assert.rejects(loadBook({ sourceDir: path.join(sourceDir, 'missing') }), /Book metadata file not found/);
+    } finally {
+        await fs.remove(sourceDir);
+    }
+});
+
+test('resolveStructure orders chapters, parts and appendices from book.yaml', () => {
+    const files = ['01-intro.md', '02-setup.md', '03-usage.md', 'a-glossary.md', 'notes.md'];
+    const metadata = {
+        structure: {
+            chapters: ['01-intro'],
+            parts: [{ title: 'Basics', chapters: ['03-usage.md', { file: '02-setup' }] }, { chapters: ['04-gone'] }],
+            appendices: ['a-glossary']
+        }
+    };
+    
+    const structure = resolveStructure(metadata, files);
+    
+    assert.deepStrictEqual(structure.entries.map(entry => [entry.file, entry.role, entry.part?.number ?? null]), [
+        ['01-intro.md', 'chapter', null],
+        ['03-usage.md', 'chapter', 1],
+        ['02-setup.md', 'chapter', 1],
+        ['a-glossary.md', 'appendix', null]
+    ]);
+    assert.deepStrictEqual(structure.parts.map(part => [part.title, part.slug]), [['Basics', 'part-1'], ['Part 2', 'part-2']]);
+    assert.deepStrictEqual(structure.missing, ['04-gone.md']);
+    assert.deepStrictEqual(structure.unlisted, ['notes.md']);
+});
+
+test('resolveStructure keeps the file order without a structure section', () => {
+    const structure = resolveStructure({}, ['01-intro.md', '02-setup.md']);
+    
+    assert.deepStrictEqual(structure.entries, [
+        { file: '01-intro.md', role: 'chapter', part: null },
+        { file: '02-setup.md', role: 'chapter', part: null }
+    ]);
+    assert.deepStrictEqual(structure.parts, []);
+});
+
+test('loadBook groups chapters into parts and rejects missing chapters', async () => {
+    const sourceDir = await writeBook({
+        'metadata/book.yaml': 'title: Test Book\nstructure:\n  parts:\n    - title: Basics\n      chapters: [01-intro, 02-setup]\n',
+        'chapters/01-intro.md': '# Intro\n',
+        'chapters/02-setup.md': '# Setup\n'
+    });
+    
+    try {
+        const book = await loadBook({ sourceDir });
+        
+        assert.deepStrictEqual(book.parts[0].chapters.map(chapter => chapter.file), ['01-intro.md', '02-setup.md']);
+        assert.strictEqual(isFirstInPart(book.chapters[0], book), true);
+        assert.strictEqual(isFirstInPart(book.chapters[1], book), false);
+        
+        await fs.remove(path.join(sourceDir, 'chapters/02-setup.md'));
+        await assert.rejects(loadBook({ sourceDir }), error => error instanceof ConfigError && /02-setup\.md/.test(error.message));
+    } finally {
+        await fs.remove(sourceDir);
+    }
+});
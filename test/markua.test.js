@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { loadBook } = require('../scripts/manuscript');
+const { formatAttributes, parseFenceInfo, toResourcePath, toMarkuaId, createMarkuaConverter } = require('../scripts/markua');
+
+test('formatAttributes quotes text and leaves out empty values', () => {
+    assert.strictEqual(formatAttributes({ format: 'python', caption: 'Hello world', id: '', 'line-numbers': true }),
+        '{format: python, caption: "Hello world", line-numbers: true}');
+    assert.strictEqual(formatAttributes({ id: null }), '');
+});
+
+test('parseFenceInfo reads plain and Pandoc fence attributes', () => {
+    assert.deepStrictEqual(parseFenceInfo('python title="app.py"'), { format: 'python', caption: 'app.py' });
+    assert.deepStrictEqual(parseFenceInfo('{.js #lst:main caption="main.js" .numberLines}'),
+        { format: 'js', caption: 'main.js', 'line-numbers': true });
+    assert.deepStrictEqual(parseFenceInfo(''), {});
+});
+
+test('toResourcePath and toMarkuaId rewrite paths and labels for Leanpub', () => {
+    assert.strictEqual(toResourcePath('../images/arch.png'), 'images/arch.png');
+    assert.strictEqual(toResourcePath('./src/images/arch.png'), 'images/arch.png');
+    assert.strictEqual(toResourcePath('https://example.com/a.png'), 'https://example.com/a.png');
+    assert.strictEqual(toMarkuaId('fig:arch.v2'), 'fig-arch-v2');
+});
+
+test('createMarkuaConverter converts links, references, figures, listings and admonitions', async () => {
+    const sourceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'book-markua-'));
+    await fs.outputFile(path.join(sourceDir, 'metadata/book.yaml'), 'title: Test Book\n');
+    await fs.outputFile(path.join(sourceDir, 'chapters/01-intro.md'), [
+        '# Intro',
+        '',
+        'See [setup](02-setup.md#install) and @ref(fig:arch).',
+        '',
+        '![Architecture](../images/arch.png){#fig:arch}',
+        '',
+        '```{.python caption="app.py" .numberLines}',
+        'print(1)',
+        '```',
+        '',
+        ':::tip',
+        'Hint',
+        ':::'
+    ].join('\n'));
+    await fs.outputFile(path.join(sourceDir, 'chapters/02-setup.md'), '# Setup\n\n## Install\n\n## Notes\n\nText @ref(missing).\n');
+    
+    try {
+        const book = await loadBook({ sourceDir });
+        const converter = createMarkuaConverter(book);
+        const [intro, setup] = book.chapters.map(chapter => converter.convert(chapter));
+        
+        assert.match(intro, /^\{#intro\}\n# 1 Intro\n/);
+        assert.match(intro, /See \[setup\]\(#install\) and \[Figure 1\.1\]\(#fig-arch\)\./);
+        assert.match(intro, /\{id: fig-arch, alt: Architecture, caption: "Figure 1\.1: Architecture"\}\n!\[\]\(images\/arch\.png\)/);
+        assert.match(intro, /\{format: python, caption: "Listing 1\.1: app\.py", line-numbers: true\}\n```\nprint\(1\)\n```/);
+        assert.match(intro, /^T> Hint$/m);
+        
+        // Only headings something links to get an id
+        assert.match(setup, /\{#install\}\n## 2\.1 Install/);
+        assert.match(setup, /\n## 2\.2 Notes/);
+        assert.doesNotMatch(setup, /\{#notes\}/);
+        assert.deepStrictEqual(converter.warnings, ['Unresolved reference @ref(missing) in 02-setup.md at line 7']);
+    } finally {
+        await fs.remove(sourceDir);
+    }
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConfigError } = require('../scripts/errors');
+const { resolveNumbering, createNumbering, numberMarkdown } = require('../scripts/numbering');
+
+const BOOK = {
+    metadata: { numbering: { depth: 2 } },
+    chapters: [
+        { file: '01-intro.md', role: 'chapter' },
+        { file: '02-usage.md', role: 'chapter' },
+        { file: 'a-glossary.md', role: 'appendix' }
+    ]
+};
+
+const CHAPTER = [
+    '# Usage',
+    '',
+    '## Summary',
+    '',
+    '### Details',
+    '',
+    '## Aside {-}',
+    '',
+    '## Setup {#sec:setup .wide}',
+    '',
+    '![Architecture](arch.png "How it fits")',
+    '',
+    '| Format | Tool |',
+    '|--------|------|',
+    '| PDF    | TeX  |',
+    '',
+    'Table: Formats',
+    '',
+    '```js title="app.js"',
+    'run()',
+    '```'
+].join('\n');
+
+test('resolveNumbering checks the numbering settings', () => {
+    assert.deepStrictEqual(resolveNumbering({}), { depth: 3, appendices: 'letters', enabled: true });
+    assert.deepStrictEqual(resolveNumbering({ numbering: false }), { depth: 0, appendices: 'letters', enabled: false });
+    assert.throws(() => resolveNumbering({ numbering: { depth: 7 } }), ConfigError);
+    assert.throws(() => resolveNumbering({ numbering: { appendices: 'roman' } }), /expected letters or numbers/);
+});
+
+test('number counts headings up to the depth, figures, tables and listings per chapter', () => {
+    const numbering = createNumbering(BOOK);
+    const numbers = numbering.number(CHAPTER, '02-usage.md');
+    
+    assert.strictEqual(numbering.chapterNumber('a-glossary.md'), 'A');
+    assert.strictEqual(numbering.chapterNumber('preface.md'), null);
+    assert.deepStrictEqual([...numbers.headings], [[1, '2'], [3, '2.1'], [9, '2.2']]);
+    assert.deepStrictEqual([...numbers.figures], [[11, '2.1']]);
+    assert.deepStrictEqual([...numbers.tables], [[17, '2.1']]);
+    assert.deepStrictEqual([...numbers.listings], [[19, '2.1']]);
+    assert.deepStrictEqual([...numbers.anchors], [[11, 'figure-02-usage-1'], [17, 'table-02-usage-1']]);
+});
+
+test('numberMarkdown writes numbers, ids and captions for markdown-it', () => {
+    const output = numberMarkdown(CHAPTER, createNumbering(BOOK).number(CHAPTER, '02-usage.md'), 'html');
+    
+    assert.match(output, /^# <span class="section-number">2<\/span> Usage \{#usage\}$/m);
+    assert.match(output, /^## <span class="section-number">2\.2<\/span> Setup \{#sec:setup\}$/m);
+    assert.match(output, /^### Details$/m);
+    assert.match(output, /^## Aside \{-\}$/m);
+    assert.match(output, /<figure class="figure" id="figure-02-usage-1">\n\n!\[Architecture\]\(arch\.png "How it fits"\)\n\n<figcaption>Figure 2\.1: How it fits<\/figcaption>\n<\/figure>/);
+    assert.match(output, /^Table: Table 2\.1: Formats \{#table-02-usage-1\}$/m);
+    assert.match(output, /<p class="listing-caption">Listing 2\.1: app\.js<\/p>\n\n```js/);
+});
+
+test('numberMarkdown writes numbers, ids and captions for Pandoc', () => {
+    const output = numberMarkdown(CHAPTER, createNumbering(BOOK).number(CHAPTER, '02-usage.md'), 'pandoc');
+    
+    assert.match(output, /^# \[2\]\{\.section-number\} Usage \{#usage\}$/m);
+    assert.match(output, /^## \[2\.2\]\{\.section-number\} Setup \{#sec:setup \.wide\}$/m);
+    assert.match(output, /^!\[Figure 2\.1: How it fits\]\(arch\.png "How it fits"\)\{#figure-02-usage-1\}$/m);
+    assert.match(output, /::: listing-caption\nListing 2\.1: app\.js\n:::/);
+});
+
+test('numberMarkdown keeps heading ids unique across the chapters of one document', () => {
+    const numbering = createNumbering(BOOK);
+    const glossary = '# Glossary\n\n## Summary {#summary}\n\n## Usage';
+    // The builders start from the labels of the book, as buildReferenceIndex finds them
+    const ids = new Set(['sec:setup', 'summary']);
+    
+    const usage = numberMarkdown(CHAPTER, numbering.number(CHAPTER, '02-usage.md'), 'pandoc', ids);
+    const output = numberMarkdown(glossary, numbering.number(glossary, 'a-glossary.md'), 'pandoc', ids);
+    
+    // Labels are kept as written, anchors that repeat get a suffix
+    assert.match(usage, /^## \[2\.1\]\{\.section-number\} Summary \{#summary-1\}$/m);
+    assert.match(output, /^## \[A\.1\]\{\.section-number\} Summary \{#summary\}$/m);
+    assert.match(output, /^## \[A\.2\]\{\.section-number\} Usage \{#usage-1\}$/m);
+    assert.deepStrictEqual([...ids], ['sec:setup', 'summary', 'usage', 'summary-1', 'glossary', 'usage-1']);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { ConfigError } = require('../scripts/errors');
+const {
+    resolveOffline,
+    createManifest,
+    createServiceWorker,
+    createRetiredServiceWorker
+} = require('../scripts/offline');
+
+test('resolveOffline reads web.offline', () => {
+    assert.strictEqual(resolveOffline({}), null);
+    assert.strictEqual(resolveOffline({ web: { offline: false } }), null);
+    assert.deepStrictEqual(resolveOffline({ web: { offline: true } }), { shortName: null, themeColor: '#1a1a2e', backgroundColor: '#ffffff' });
+    assert.deepStrictEqual(resolveOffline({ web: { offline: { short_name: 'Guide', theme_color: '#000000' } } }),
+        { shortName: 'Guide', themeColor: '#000000', backgroundColor: '#ffffff' });
+    assert.throws(() => resolveOffline({ web: { offline: 'yes' } }), ConfigError);
+    assert.throws(() => resolveOffline({ web: { offline: { theme_color: 1 } } }), /Invalid web\.offline\.theme_color/);
+});
+
+test('createManifest describes the book as an installable app', () => {
+    const metadata = { title: 'Test Book', subtitle: 'A guide ', language: 'de' };
+    
+    assert.deepStrictEqual(createManifest(metadata, resolveOffline({ web: { offline: true } })), {
+        name: 'Test Book',
+        short_name: 'Test Book',
+        description: 'A guide',
+        lang: 'de',
+        start_url: './',
+        scope: './',
+        display: 'standalone',
+        theme_color: '#1a1a2e',
+        background_color: '#ffffff'
+    });
+});
+
+test('service workers are valid scripts named after the cache version', () => {
+    const worker = createServiceWorker('abc123', ['./', 'chapters/intro.html']);
+    
+    assert.doesNotThrow(() => new vm.Script(worker));
+    assert.doesNotThrow(() => new vm.Script(createRetiredServiceWorker()));
+    assert.match(worker, /const CACHE = CACHE_PREFIX \+ "abc123";/);
+    assert.match(worker, /const PRECACHE = \[\n {4}"\.\/",\n {4}"chapters\/intro\.html"\n\];/);
+    assert.match(createRetiredServiceWorker(), /self\.registration\.unregister\(\)/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MarkdownIt = require('markdown-it');
+const { extractSections, buildSearchIndex } = require('../scripts/search-index');
+
+const md = new MarkdownIt({ html: true });
+
+function parse(markdown) {
+    const tokens = md.parse(markdown, {});
+    tokens.filter(token => token.type === 'heading_open').forEach((token, index) => token.attrSet('id', `section-${index + 1}`));
+    return tokens;
+}
+
+test('extractSections splits the text at headings and keeps code', () => {
+    const tokens = parse('Opening words.\n\n## Setup *now*\n\nRun `npm`\nplease.\n\n```\nnpm install\n```\n\n### Empty\n');
+    
+    assert.deepStrictEqual(extractSections(tokens), [
+        { id: null, title: '', level: 0, text: 'Opening words.' },
+        { id: 'section-1', title: 'Setup now', level: 2, text: 'Run npm please. npm install' },
+        { id: 'section-2', title: 'Empty', level: 3, text: '' }
+    ]);
+});
+
+test('extractSections leaves out footnote reference numbers', () => {
+    const tokens = parse('See the manual<a class="footnote-ref" href="#fn-1"><sup>1</sup></a> first.');
+    
+    assert.strictEqual(extractSections(tokens)[0].text, 'See the manual first.');
+});
+
+test('buildSearchIndex lists the sections of every page', () => {
+    const index = buildSearchIndex([
+        { title: 'Intro', number: '1', url: 'chapters/intro.html', tokens: parse('# Intro\n\nHello.') },
+        { title: 'Preface', url: 'chapters/preface.html', tokens: parse('') }
+    ]);
+    
+    assert.deepStrictEqual(index, {
+        pages: [
+            { title: 'Intro', number: '1', url: 'chapters/intro.html', sections: [{ id: 'section-1', title: 'Intro', level: 1, text: 'Hello.' }] },
+            { title: 'Preface', number: null, url: 'chapters/preface.html', sections: [] }
+        ]
+    });
+});
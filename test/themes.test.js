@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('../scripts/errors');
+const { resolveTheme } = require('../scripts/themes');
+
+// Themes are looked up from the working directory, as the builders run from the project root
+async function inProject(callback) {
+    const cwd = process.cwd();
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'book-themes-'));
+    await fs.outputFile(path.join(dir, 'config/themes/classic/style.css'), 'body { font-family: serif; }');
+    await fs.ensureDir(path.join(dir, 'config/themes/plain/templates'));
+    
+    process.chdir(dir);
+    try {
+        await callback();
+    } finally {
+        process.chdir(cwd);
+        await fs.remove(dir);
+    }
+}
+
+test('resolveTheme finds the stylesheet and templates of a theme', () => inProject(() => {
+    assert.deepStrictEqual(resolveTheme({}), { name: 'default', stylesheet: null, templatesDir: null });
+    assert.deepStrictEqual(resolveTheme({ web: { theme: 'classic' } }), {
+        name: 'classic',
+        stylesheet: path.join('config/themes/classic/style.css'),
+        templatesDir: null
+    });
+    assert.deepStrictEqual(resolveTheme({ web: { theme: 'plain' } }), {
+        name: 'plain',
+        stylesheet: null,
+        templatesDir: path.join('config/themes/plain/templates')
+    });
+}));
+
+test('resolveTheme rejects unknown themes and names outside config/themes', () => inProject(() => {
+    assert.throws(() => resolveTheme({ web: { theme: 'missing' } }), error => error instanceof ConfigError && /Unknown web\.theme "missing"/.test(error.message) && Boolean(error.hint));
+    assert.throws(() => resolveTheme({ web: { theme: '../templates' } }), /Invalid web\.theme/);
+    assert.throws(() => resolveTheme({ web: { theme: ['classic'] } }), ConfigError);
+}));
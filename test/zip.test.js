@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readZipEntries, writeZipEntries } = require('../scripts/zip');
+
+test('zip entries survive a round trip and give the same archive every time', () => {
+    const entries = new Map([
+        ['mimetype', Buffer.from('application/epub+zip')],
+        ['EPUB/text/ch001.xhtml', Buffer.from('<p>Ünïcode text</p>'.repeat(50))]
+    ]);
+    const archive = writeZipEntries(entries, ['mimetype']);
+    
+    assert.strictEqual(archive.toString('utf8', 30, 38), 'mimetype');
+    assert.strictEqual(archive.toString('utf8', 38, 58), 'application/epub+zip');
+    assert.deepStrictEqual(readZipEntries(archive), entries);
+    assert.deepStrictEqual(writeZipEntries(entries, ['mimetype']), archive);
+    assert.throws(() => readZipEntries(Buffer.alloc(64)), /Not a zip archive/);
+});